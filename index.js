@@ -18,8 +18,10 @@
 import fs from "fs";
 import path from "path";
 import os from "os";
-import { execSync } from "child_process";
+import crypto from "crypto";
+import { execSync, spawn, spawnSync } from "child_process";
 import readline from "readline";
+import { StringDecoder } from "string_decoder";
 import chalk from "chalk";
 import inquirer from "inquirer";
 import ora from "ora";
@@ -31,11 +33,16 @@ const VERSION = "0.1.0";
 const MODEL_NAME = "Fin 0.1";
 const CHALK_HOME = path.join(os.homedir(), ".chalk");
 const CHALK_ENV = path.join(CHALK_HOME, ".env");
+const SESSIONS_DIR = path.join(CHALK_HOME, "sessions");
 const API_BASE = "https://openrouter.ai/api/v1";
 const DEFAULT_MODEL = "deepseek/deepseek-r1-0528";
 const MAX_TREE_DEPTH = 3;
 const MAX_TREE_FILES = 200;
 const TOOL_TIMEOUT_MS = 120_000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_REQUEST_TIMEOUT_MS = 120_000;
+const RETRY_BASE_MS = 1_000;
+const RETRY_MAX_MS = 30_000;
 
 const IGNORED_DIRS = new Set([
   "node_modules", ".git", ".next", ".nuxt", "__pycache__", ".venv",
@@ -44,14 +51,55 @@ const IGNORED_DIRS = new Set([
   ".vscode", ".DS_Store", "env", ".env", ".tox", "out",
 ]);
 
+// ─── Headless Mode State (-p / --print) ─────────────────────────────────────
+
+// Exit codes for scripts and CI
+const EXIT_OK = 0;
+const EXIT_API_ERROR = 1;
+const EXIT_USAGE = 2;
+const EXIT_TOOL_DENIED = 3;
+const EXIT_MAX_TURNS = 4;
+const EXIT_BUDGET = 5;
+
+// Set once by main() for --print runs. In headless mode nothing prompts:
+// tool calls are approved by rules, --allowed-tools or --yes, else denied.
+const headless = {
+  enabled: false,
+  format: "text",
+  autoApprove: false,
+  allowedRules: [],
+  deniedCount: 0,
+  events: [],
+  subagent: null,
+};
+
+/** Record a machine-readable event; stream-json writes it out immediately. */
+function emitEvent(event) {
+  if (!headless.enabled) return;
+  // Events from a tool_task sub-agent say which agent they came from
+  if (headless.subagent) event = { ...event, subagent: headless.subagent };
+  headless.events.push(event);
+  if (headless.format === "stream-json") process.stdout.write(JSON.stringify(event) + "\n");
+}
+
 // ─── Config: ~/.chalk/.env ──────────────────────────────────────────────────
 
 function ensureChalkHome() {
-  for (const dir of [CHALK_HOME, path.join(CHALK_HOME, "sessions"), path.join(CHALK_HOME, "logs")]) {
+  for (const dir of [CHALK_HOME, SESSIONS_DIR, path.join(CHALK_HOME, "logs")]) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
   }
 }
 
+function readIntEnv(key, fallback) {
+  const n = parseInt(process.env[key] ?? "", 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function readFloatEnv(key, fallback) {
+  const n = parseFloat(process.env[key] ?? "");
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
 function loadConfig() {
   ensureChalkHome();
   // Load global ~/.chalk/.env first, then local .env can override
@@ -61,9 +109,39 @@ function loadConfig() {
     apiKey: process.env.OPENROUTER_API_KEY || "",
     model: process.env.CHALK_MODEL || DEFAULT_MODEL,
     baseUrl: process.env.OPENROUTER_BASE_URL || API_BASE,
+    // Backend for models without a provider prefix; see resolveProvider()
+    provider: PROVIDERS[process.env.CHALK_PROVIDER] ? process.env.CHALK_PROVIDER : "openrouter",
+    providers: loadProviders(),
+    maxRetries: readIntEnv("MAX_RETRIES", DEFAULT_MAX_RETRIES),
+    requestTimeout: readIntEnv("REQUEST_TIMEOUT", DEFAULT_REQUEST_TIMEOUT_MS) || DEFAULT_REQUEST_TIMEOUT_MS,
+    // Ordered list tried when the primary model is rate-limited or unavailable
+    fallbackModels: (process.env.CHALK_FALLBACK_MODELS || "")
+      .split(",").map((m) => m.trim()).filter(Boolean),
+    contextTokens: modelContextTokens(process.env.CHALK_MODEL || DEFAULT_MODEL),
+    autoCompact: process.env.CHALK_AUTO_COMPACT !== "0",
+    // Dollar limits; 0 means no limit
+    sessionBudget: readFloatEnv("CHALK_SESSION_BUDGET", 0),
+    dailyBudget: readFloatEnv("CHALK_DAILY_BUDGET", 0),
   };
 }
 
+/** The settings block shown by `chalk config` and /config. */
+function formatConfig(config) {
+  const provider = resolveProvider(config, config.model);
+  return `
+  Config home:    ${CHALK_HOME}
+  Model:          ${config.model}
+  Provider:       ${provider.name}${provider.name === config.provider ? "" : ` (default ${config.provider})`}
+  API base:       ${provider.baseUrl}
+  Fallbacks:      ${config.fallbackModels.join(", ") || "(none)"}
+  Retries:        ${config.maxRetries} (timeout ${config.requestTimeout}ms)
+  Context:        ${config.contextTokens} tokens (auto-compact ${config.autoCompact ? "on" : "off"})
+  Budgets:        session ${config.sessionBudget ? formatCost(config.sessionBudget) : "none"}, daily ${config.dailyBudget ? formatCost(config.dailyBudget) : "none"}
+  API key:        ${provider.apiKey ? provider.apiKey.slice(0, 14) + "..." : provider.keyEnv ? "(not set)" : "(none needed)"}
+  Working dir:    ${process.cwd()}
+`;
+}
+
 function saveEnvValue(key, value) {
   ensureChalkHome();
   let content = "";
@@ -81,6 +159,318 @@ function saveEnvValue(key, value) {
   fs.writeFileSync(CHALK_ENV, content, "utf-8");
 }
 
+// ─── Sessions (~/.chalk/sessions/<project>/<id>.json) ───────────────────────
+
+/** One folder per project directory: readable basename plus a short path hash. */
+function projectSessionsDir(cwd = process.cwd()) {
+  const hash = crypto.createHash("sha1").update(path.resolve(cwd)).digest("hex").slice(0, 8);
+  const base = path.basename(path.resolve(cwd)).replace(/[^\w.-]+/g, "_") || "root";
+  return path.join(SESSIONS_DIR, `${base}-${hash}`);
+}
+
+// Set from --model; it wins over the model a resumed session was saved with
+let cliModel = null;
+
+/** The model a resumed session goes back to, or null when it runs on the configured one. */
+function restoredModel(session) {
+  return !cliModel && session.model && session.model !== loadConfig().model ? session.model : null;
+}
+
+function newSessionId() {
+  const stamp = new Date().toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  return `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+}
+
+function createSessionState() {
+  return {
+    sessionId: newSessionId(),
+    createdAt: new Date().toISOString(),
+    agent: null,
+    model: null,
+    title: null,
+    messages: [],
+    lastPromptTokens: 0,
+    totalTokens: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+  };
+}
+
+function saveSession(ctx, model) {
+  const dir = projectSessionsDir();
+  const file = path.join(dir, `${ctx.sessionId}.json`);
+  // Don't litter the store with empty sessions, but do persist a rewind to zero
+  if (ctx.messages.length === 0 && !fs.existsSync(file)) return;
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const session = {
+    id: ctx.sessionId,
+    cwd: process.cwd(),
+    title: sessionTitle(ctx),
+    model,
+    createdAt: ctx.createdAt,
+    updatedAt: new Date().toISOString(),
+    totalTokens: ctx.totalTokens,
+    promptTokens: ctx.promptTokens,
+    completionTokens: ctx.completionTokens,
+    agent: ctx.agent ? agentSlug(ctx.agent.name) : null,
+    messages: ctx.messages,
+  };
+  // Write-then-rename so a crash mid-write never leaves a truncated session
+  fs.writeFileSync(file + ".tmp", JSON.stringify(session, null, 2), "utf-8");
+  fs.renameSync(file + ".tmp", file);
+}
+
+/** First line of the first prompt; kept on ctx once compaction has summarized that prompt away. */
+function sessionTitle(ctx) {
+  if (ctx.title) return ctx.title;
+  const firstPrompt = ctx.messages.find(isUserPrompt);
+  return (firstPrompt?.content || "").split("\n")[0].slice(0, 80);
+}
+
+function loadSession(id, cwd = process.cwd()) {
+  const file = path.join(projectSessionsDir(cwd), `${path.basename(id)}.json`);
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/** Sessions for a project, most recently updated first. */
+function listSessions(cwd = process.cwd()) {
+  const dir = projectSessionsDir(cwd);
+  if (!fs.existsSync(dir)) return [];
+  const sessions = [];
+  for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
+    try {
+      sessions.push(JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8")));
+    } catch { /* skip */ }
+  }
+  return sessions.sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+/** Load a saved session into the live REPL context. */
+function applySession(ctx, session) {
+  ctx.sessionId = session.id;
+  ctx.createdAt = session.createdAt;
+  ctx.messages = session.messages || [];
+  ctx.title = session.title || null;
+  ctx.lastPromptTokens = 0;
+  ctx.totalTokens = session.totalTokens || 0;
+  ctx.promptTokens = session.promptTokens || 0;
+  ctx.completionTokens = session.completionTokens || 0;
+  ctx.agent = session.agent ? findAgent(session.agent) : null;
+  // Pick up the /model choice the session was saved with
+  ctx.model = restoredModel(session);
+}
+
+function formatAge(iso) {
+  const secs = Math.max(0, (Date.now() - Date.parse(iso)) / 1000);
+  if (secs < 60) return "just now";
+  if (secs < 3600) return `${Math.floor(secs / 60)}m ago`;
+  if (secs < 86400) return `${Math.floor(secs / 3600)}h ago`;
+  return `${Math.floor(secs / 86400)}d ago`;
+}
+
+function describeSession(s) {
+  const count = `${s.messages?.length || 0} msgs`;
+  return `${formatAge(s.updatedAt).padEnd(9)} ${count.padEnd(9)} ${s.title || "(untitled)"}`;
+}
+
+/** panelSelect over this project's sessions. Returns the session or null. */
+async function pickSession() {
+  const sessions = listSessions().slice(0, 20);
+  if (sessions.length === 0) {
+    console.log(chalk.dim("  No saved sessions for this directory."));
+    return null;
+  }
+  console.log("");
+  const idx = await panelSelect(
+    "Resume a conversation",
+    `Saved sessions for ${process.cwd()}`,
+    sessions.map(describeSession)
+  );
+  return idx === -1 ? null : sessions[idx];
+}
+
+function printResumeSummary(session) {
+  console.log(chalk.green(`  Resumed session ${session.id} (${session.messages.length} messages)`));
+  if (restoredModel(session)) console.log(chalk.dim(`  Model: ${session.model}`));
+  const lastUser = [...session.messages].reverse().find((m) => m.role === "user");
+  if (lastUser) console.log(chalk.dim(`  Last prompt: ${lastUser.content.split("\n")[0].slice(0, 100)}`));
+}
+
+// ─── Checkpoints (~/.chalk/checkpoints/<session>/) ──────────────────────────
+
+const CHECKPOINTS_DIR = path.join(CHALK_HOME, "checkpoints");
+
+// Which session and conversation point file writes belong to. Set by the
+// REPL before each turn; tool executors read it when snapshotting.
+const checkpointState = { sessionId: null, messageIndex: 0 };
+
+function checkpointDir(sessionId) {
+  return path.join(CHECKPOINTS_DIR, path.basename(sessionId));
+}
+
+/** Checkpoint entries for a session, oldest first. */
+function loadCheckpoints(sessionId) {
+  if (!sessionId) return [];
+  try {
+    return JSON.parse(fs.readFileSync(path.join(checkpointDir(sessionId), "index.json"), "utf-8"));
+  } catch {
+    return [];
+  }
+}
+
+function saveCheckpoints(sessionId, entries) {
+  const dir = checkpointDir(sessionId);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, "index.json"), JSON.stringify(entries, null, 2), "utf-8");
+}
+
+/**
+ * Record a file's current state right before Chalk overwrites it. Files
+ * that don't exist yet are recorded too, so undoing a create deletes them.
+ */
+function snapshotFile(resolved, tool) {
+  const { sessionId, messageIndex } = checkpointState;
+  if (!sessionId) return;
+  const entries = loadCheckpoints(sessionId);
+  const seq = (entries[entries.length - 1]?.seq || 0) + 1;
+  const existed = fs.existsSync(resolved);
+  let backup = null;
+  if (existed) {
+    backup = `${seq}.bak`;
+    const dir = checkpointDir(sessionId);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(resolved, path.join(dir, backup));
+  }
+  entries.push({ seq, file: resolved, existed, backup, tool, messageIndex, at: new Date().toISOString() });
+  saveCheckpoints(sessionId, entries);
+}
+
+/** Put a file back the way a checkpoint entry found it. */
+function restoreCheckpoint(sessionId, entry) {
+  if (entry.existed) {
+    const dir = path.dirname(entry.file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.copyFileSync(path.join(checkpointDir(sessionId), entry.backup), entry.file);
+  } else if (fs.existsSync(entry.file)) {
+    fs.unlinkSync(entry.file);
+  }
+  if (entry.backup) fs.rmSync(path.join(checkpointDir(sessionId), entry.backup), { force: true });
+}
+
+/** Revert every entry at or after a conversation point, newest first. */
+function rewindFiles(sessionId, messageIndex) {
+  const entries = loadCheckpoints(sessionId);
+  const keep = entries.filter((e) => e.messageIndex < messageIndex);
+  const undo = entries.filter((e) => e.messageIndex >= messageIndex).reverse();
+  for (const entry of undo) restoreCheckpoint(sessionId, entry);
+  saveCheckpoints(sessionId, keep);
+  return [...new Set(undo.map((e) => e.file))];
+}
+
+/**
+ * Compaction replaced messages [0, cut) with `replacement` messages: keep
+ * entries pointing at the same prompts. Edits from the summarized part all
+ * land on index 0, so they're only undone by rewinding to the very start.
+ */
+function shiftCheckpoints(sessionId, cut, replacement) {
+  const entries = loadCheckpoints(sessionId);
+  if (entries.length === 0) return;
+  for (const e of entries) e.messageIndex = e.messageIndex < cut ? 0 : e.messageIndex - cut + replacement;
+  saveCheckpoints(sessionId, entries);
+}
+
+function relPath(file) {
+  const rel = path.relative(process.cwd(), file);
+  return rel.startsWith("..") ? file : rel;
+}
+
+async function undoLastEdit(ctx) {
+  const entries = loadCheckpoints(ctx.sessionId);
+  const last = entries.pop();
+  if (!last) {
+    console.log(chalk.dim("  Nothing to undo."));
+    return;
+  }
+  restoreCheckpoint(ctx.sessionId, last);
+  saveCheckpoints(ctx.sessionId, entries);
+  const what = last.existed ? "restored" : "removed (it was created by Chalk)";
+  console.log(chalk.green(`  Undid ${last.tool} on ${relPath(last.file)}: file ${what}.`));
+  // Tell the model, or it will assume its edit is still there
+  ctx.messages.push({
+    role: "user",
+    content: `[Chalk note] I undid your last change to ${relPath(last.file)}; the file is back to its previous state.`,
+  });
+}
+
+async function rewindConversation(ctx) {
+  const points = ctx.messages
+    .map((m, i) => ({ m, i }))
+    .filter(({ m }) => isUserPrompt(m));
+  if (points.length === 0) {
+    console.log(chalk.dim("  Nothing to rewind."));
+    return;
+  }
+  const entries = loadCheckpoints(ctx.sessionId);
+  const recent = points.slice(-15).reverse();
+
+  console.log("");
+  const idx = await panelSelect(
+    "Rewind to before which prompt?",
+    "Everything from that prompt on is undone.",
+    recent.map(({ m, i }) => {
+      const edits = entries.filter((e) => e.messageIndex >= i).length;
+      const label = m.content.split("\n")[0].slice(0, 60);
+      return `${label}${edits ? chalk.dim(`  (${edits} file change${edits === 1 ? "" : "s"} after)`) : ""}`;
+    })
+  );
+  if (idx === -1) return;
+  const target = recent[idx].i;
+
+  console.log("");
+  const mode = await panelSelect(
+    "What should be restored?",
+    "Code means files Chalk wrote; conversation means the message history.",
+    ["Code and conversation", "Conversation only", "Code only"]
+  );
+  if (mode === -1) return;
+
+  if (mode !== 1) {
+    const files = rewindFiles(ctx.sessionId, target);
+    console.log(chalk.green(`  Restored ${files.length} file${files.length === 1 ? "" : "s"}.`));
+    for (const f of files) console.log(chalk.dim(`    ${relPath(f)}`));
+  }
+  if (mode !== 2) {
+    ctx.messages = ctx.messages.slice(0, target);
+    console.log(chalk.green(`  Conversation rewound to ${ctx.messages.length} messages.`));
+  }
+}
+
+function showChanges(ctx) {
+  const entries = loadCheckpoints(ctx.sessionId);
+  if (entries.length === 0) {
+    console.log(chalk.dim("  No files changed by Chalk in this session."));
+    return;
+  }
+  const byFile = new Map();
+  for (const e of entries) {
+    const info = byFile.get(e.file) || { edits: 0, created: !e.existed };
+    info.edits++;
+    byFile.set(e.file, info);
+  }
+  console.log("");
+  for (const [file, info] of byFile) {
+    const tag = info.created ? chalk.green("new     ") : chalk.yellow("modified");
+    const gone = fs.existsSync(file) ? "" : chalk.dim("  (deleted since)");
+    console.log(`  ${tag}  ${chalk.white(relPath(file))}  ${chalk.dim(`${info.edits} edit${info.edits === 1 ? "" : "s"}`)}${gone}`);
+  }
+  console.log(chalk.dim(`\n  /undo reverts the last edit, /rewind goes back to an earlier prompt.\n`));
+}
+
 // ─── File Tree Scanner (Instant IDE Context) ────────────────────────────────
 
 function scanFileTree(dir, depth = 0, prefix = "") {
@@ -156,7 +546,223 @@ function getProjectContext() {
   }
   const langInfo = detected.length > 0 ? `Detected: ${detected.join(", ")}\n` : "";
 
-  return { cwd, treeStr, projectInfo, langInfo };
+  return { cwd, treeStr, projectInfo, langInfo, memory: loadMemoryFiles() };
+}
+
+// ─── Project Memory (CHALK.md) ──────────────────────────────────────────────
+
+const MEMORY_FILE = "CHALK.md";
+const GLOBAL_MEMORY = path.join(CHALK_HOME, MEMORY_FILE);
+const PROJECT_MEMORY = path.join(process.cwd(), MEMORY_FILE);
+// Per file; a runaway memory file shouldn't eat the context window
+const MAX_MEMORY_CHARS = 20000;
+// Files /init shows the model besides the tree (first MAX_INIT_FILE_CHARS of each)
+const INIT_CONTEXT_FILES = [
+  "README.md", "CONTRIBUTING.md", "package.json", "tsconfig.json", "pyproject.toml", "Cargo.toml", "go.mod",
+  "Makefile", ".editorconfig", ".eslintrc.json", ".eslintrc.js", "eslint.config.js", ".prettierrc",
+  "AGENTS.md", "CLAUDE.md", ".cursorrules", ".github/copilot-instructions.md",
+];
+const MAX_INIT_FILE_CHARS = 4000;
+
+const INIT_PROMPT = [
+  `You write ${MEMORY_FILE}, the memory file Chalk (a terminal AI coding assistant) loads into every session in this project.`,
+  "From the project files below, write concise Markdown that a new teammate would need on day one:",
+  "- a one-paragraph overview of what the project is,",
+  "- the exact commands to install, build, run, test and lint (only ones you can see evidence for),",
+  "- the architecture: main directories and entry points, and how they fit together,",
+  "- code conventions visible in the files (module system, naming, error handling, test layout),",
+  "- gotchas worth remembering.",
+  "Do not invent commands or facts. Skip generic advice. Keep it under 80 lines.",
+  `Reply with the file content only, starting with "# ${MEMORY_FILE}".`,
+].join("\n");
+
+/**
+ * Every CHALK.md that applies here, least specific first: ~/.chalk/CHALK.md,
+ * then parent directories from the top down, then the project root.
+ */
+function loadMemoryFiles() {
+  const dirs = [];
+  for (let dir = process.cwd(); ; dir = path.dirname(dir)) {
+    dirs.unshift(dir);
+    if (path.dirname(dir) === dir) break;
+  }
+  const files = [GLOBAL_MEMORY, ...dirs.map((d) => path.join(d, MEMORY_FILE)).filter((f) => f !== GLOBAL_MEMORY)];
+  const loaded = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = fs.readFileSync(file, "utf-8").trim();
+    } catch {
+      continue;
+    }
+    if (!content) continue;
+    if (content.length > MAX_MEMORY_CHARS) content = content.slice(0, MAX_MEMORY_CHARS) + "\n[... truncated ...]";
+    loaded.push({ file, content });
+  }
+  return loaded;
+}
+
+/** System prompt lines for the loaded memory files (empty when there are none). */
+function memoryLines(memory) {
+  if (!memory?.length) return [];
+  return [
+    `Project memory (${MEMORY_FILE}). These are the user's instructions and facts about this project; follow them. Later files are more specific and win on conflicts:`,
+    ...memory.map((m) => `--- ${m.file === GLOBAL_MEMORY ? `~/.chalk/${MEMORY_FILE} (all projects)` : relPath(m.file)} ---\n${m.content}`),
+    "",
+  ];
+}
+
+function memoryLabel(file) {
+  return file === GLOBAL_MEMORY ? `~/.chalk/${MEMORY_FILE}` : relPath(file);
+}
+
+/** "# fact" at the prompt: append the fact as a bullet to the project or personal memory. */
+async function appendMemory(fact) {
+  console.log("");
+  const idx = await panelSelect("Remember this", fact, [
+    `Project memory  ${chalk.dim(memoryLabel(PROJECT_MEMORY))}`,
+    `Personal memory  ${chalk.dim(`${memoryLabel(GLOBAL_MEMORY)}, all projects`)}`,
+  ]);
+  if (idx === -1) return;
+  const file = idx === 0 ? PROJECT_MEMORY : GLOBAL_MEMORY;
+  try {
+    let existing = "";
+    try {
+      existing = fs.readFileSync(file, "utf-8");
+    } catch {
+      existing = `# ${MEMORY_FILE}\n`;
+    }
+    const sep = existing.endsWith("\n") ? "" : "\n";
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${existing}${sep}- ${fact}\n`, "utf-8");
+    console.log(chalk.green(`  Saved to ${memoryLabel(file)}`));
+  } catch (err) {
+    console.log(chalk.red(`  [error] Couldn't write ${memoryLabel(file)}: ${err.message}`));
+  }
+}
+
+/** /memory: pick a memory file (existing ones plus the two standard spots) and edit it. */
+async function editMemory() {
+  const files = [...new Set([PROJECT_MEMORY, GLOBAL_MEMORY, ...loadMemoryFiles().map((m) => m.file)])];
+  console.log("");
+  const idx = await panelSelect(
+    "Edit memory",
+    `${MEMORY_FILE} files are added to the system prompt. Closer to the project wins on conflicts.`,
+    files.map((f) => {
+      const exists = fs.existsSync(f);
+      const size = exists ? `${fs.readFileSync(f, "utf-8").split("\n").length} lines` : "new";
+      return `${memoryLabel(f)}  ${chalk.dim(f === GLOBAL_MEMORY ? `personal, ${size}` : size)}`;
+    })
+  );
+  if (idx === -1) return;
+  const file = files[idx];
+  const current = fs.existsSync(file) ? fs.readFileSync(file, "utf-8") : `# ${MEMORY_FILE}\n\n`;
+  const edited = editInEditor(current);
+  if (edited === null) {
+    console.log(chalk.yellow("  Editor closed without saving. Set $EDITOR to pick one."));
+    return;
+  }
+  if (edited === current) {
+    console.log(chalk.dim("  No changes."));
+    return;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, edited, "utf-8");
+  console.log(chalk.green(`  Saved ${memoryLabel(file)}`));
+}
+
+/** Key project files for /init, each cut to MAX_INIT_FILE_CHARS. */
+function initContextFiles() {
+  const parts = [];
+  for (const name of INIT_CONTEXT_FILES) {
+    let text;
+    try {
+      text = fs.readFileSync(path.join(process.cwd(), name), "utf-8");
+    } catch {
+      continue;
+    }
+    if (text.length > MAX_INIT_FILE_CHARS) text = text.slice(0, MAX_INIT_FILE_CHARS) + "\n[... cut ...]";
+    parts.push(`--- ${name} ---\n${text}`);
+  }
+  return parts;
+}
+
+/** /init: have the model draft CHALK.md from the tree and key files, then review and save. */
+async function initMemory(config) {
+  const missingKey = missingKeyFor(config, config.model);
+  if (missingKey) {
+    console.log(chalk.red(`  ${missingKey} is not set. Run chalk login first.`));
+    return;
+  }
+  const existing = fs.existsSync(PROJECT_MEMORY) ? fs.readFileSync(PROJECT_MEMORY, "utf-8") : null;
+  if (existing) {
+    console.log("");
+    const idx = await panelSelect(`${MEMORY_FILE} already exists`, "The model can revise it with what it finds in the project.", [
+      "Update it (keeps what's there)",
+      "Cancel",
+    ]);
+    if (idx !== 0) return;
+  }
+
+  const project = getProjectContext();
+  const parts = [
+    `Working directory: ${project.cwd}`,
+    project.langInfo,
+    `File tree:\n${project.treeStr}`,
+    ...initContextFiles(),
+  ];
+  if (existing) parts.push(`Current ${MEMORY_FILE} (keep its facts and instructions unless the files contradict them):\n${existing}`);
+
+  const spinner = ora({ text: "Analyzing project...", color: "cyan" }).start();
+  let draft;
+  try {
+    const { message, usage, model } = await completeWithRetry(config, {
+      model: config.model,
+      messages: [
+        { role: "system", content: INIT_PROMPT },
+        { role: "user", content: parts.filter(Boolean).join("\n\n") },
+      ],
+      temperature: 0.3,
+      max_tokens: 4096,
+    });
+    if (usage) await recordUsage(config, model, usage);
+    spinner.stop();
+    // Drop reasoning and a wrapping ```markdown fence if the model added one
+    draft = (message.content || "").replace(/<think>[\s\S]*?<\/think>/g, "").trim()
+      .replace(/^```(?:markdown|md)?\n([\s\S]*)\n```$/, "$1").trim();
+  } catch (err) {
+    spinner.fail(chalk.red(`[error] ${err.message}`));
+    return;
+  }
+  if (!draft) {
+    console.log(chalk.yellow("  The model returned an empty file."));
+    return;
+  }
+
+  while (true) {
+    console.log("");
+    console.log(BAR + chalk.bold.cyan(`Draft ${MEMORY_FILE}`));
+    console.log(DIVIDER);
+    for (const line of draft.split("\n")) console.log(BAR_DIM + chalk.dim(line));
+    console.log(DIVIDER);
+    console.log("");
+    const idx = await panelSelect(`Save ${MEMORY_FILE}?`, `Written to ${PROJECT_MEMORY}. Commit it so the whole team gets it.`, [
+      "Save",
+      "Edit before saving",
+      "Discard",
+    ]);
+    if (idx === 1) {
+      const edited = editInEditor(draft + "\n");
+      if (edited === null) console.log(chalk.yellow("  Editor closed without saving. Set $EDITOR to pick one."));
+      else draft = edited.trim();
+      continue;
+    }
+    if (idx === 0) {
+      fs.writeFileSync(PROJECT_MEMORY, draft + "\n", "utf-8");
+      console.log(chalk.green(`  Saved ${MEMORY_FILE}. It's loaded into every session from now on.`));
+    }
+    return;
+  }
 }
 
 // ─── Tool Definitions (sent to AI model) ────────────────────────────────────
@@ -169,23 +775,58 @@ const TOOL_DEFINITIONS = [
       description:
         "Execute a terminal command in the user's shell. Use for: npm, pip, brew, cargo, git, " +
         "python, node, compiling, testing, installing packages, or any CLI operation. " +
-        "The command runs in the user's current working directory.",
+        "The command runs in the user's current working directory, with output streamed to the user. " +
+        "Set background for dev servers, watchers and anything else that doesn't exit on its own.",
       parameters: {
         type: "object",
         properties: {
           command: { type: "string", description: "The shell command to execute" },
+          timeout: { type: "integer", description: "Seconds before the command is stopped (default 120, max 600)" },
+          background: {
+            type: "boolean",
+            description: "Run as a background job and return right away with its id and first output",
+          },
         },
         required: ["command"],
       },
     },
   },
+  {
+    type: "function",
+    function: {
+      name: "tool_job_output",
+      description:
+        "Read a background job's output since the last read, and whether it is still running.",
+      parameters: {
+        type: "object",
+        properties: {
+          job_id: { type: "integer", description: "Job id returned by tool_run with background set" },
+        },
+        required: ["job_id"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_job_kill",
+      description: "Stop a background job and every process it started.",
+      parameters: {
+        type: "object",
+        properties: {
+          job_id: { type: "integer", description: "Job id to stop" },
+        },
+        required: ["job_id"],
+      },
+    },
+  },
   {
     type: "function",
     function: {
       name: "tool_edit",
       description:
         "Create or overwrite a file with the given content. Automatically creates parent " +
-        "directories. Use for writing code, config files, docs, or any text file.",
+        "directories. Use for new files or full rewrites; prefer tool_patch for changes to existing files.",
       parameters: {
         type: "object",
         properties: {
@@ -196,704 +837,5529 @@ const TOOL_DEFINITIONS = [
       },
     },
   },
+  {
+    type: "function",
+    function: {
+      name: "tool_patch",
+      description:
+        "Edit an existing file by exact search/replace. old_string must match the file exactly " +
+        "(including indentation) and be unique unless replace_all is set. Read the file first.",
+      parameters: {
+        type: "object",
+        properties: {
+          filepath: { type: "string", description: "File path (relative to cwd or absolute)" },
+          old_string: { type: "string", description: "Exact text to replace" },
+          new_string: { type: "string", description: "Replacement text (empty string deletes)" },
+          replace_all: { type: "boolean", description: "Replace every occurrence instead of requiring one" },
+        },
+        required: ["filepath", "old_string", "new_string"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_read",
+      description:
+        "Read a text file with line numbers. Returns at most 400 lines per call; use start_line " +
+        "and end_line to page through larger files. Read-only, runs without asking the user.",
+      parameters: {
+        type: "object",
+        properties: {
+          filepath: { type: "string", description: "File path (relative to cwd or absolute)" },
+          start_line: { type: "integer", description: "First line to read, 1-based (default 1)" },
+          end_line: { type: "integer", description: "Last line to read, inclusive" },
+        },
+        required: ["filepath"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_grep",
+      description:
+        "Search file contents with a JavaScript regular expression. Skips node_modules, build " +
+        "output and .gitignored files. Returns file:line: text, 100 matches per page.",
+      parameters: {
+        type: "object",
+        properties: {
+          pattern: { type: "string", description: "Regular expression to search for" },
+          path: { type: "string", description: "File or directory to search (default: cwd)" },
+          glob: { type: "string", description: "Only search files matching this glob, e.g. \"*.ts\" or \"src/**/*.js\"" },
+          ignore_case: { type: "boolean", description: "Case-insensitive search" },
+          offset: { type: "integer", description: "Skip this many matches (for paging)" },
+        },
+        required: ["pattern"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_glob",
+      description:
+        "Find files by glob pattern, e.g. \"**/*.test.js\" or \"src/*.{ts,tsx}\". Honors .gitignore. " +
+        "Returns paths relative to cwd, 200 per page.",
+      parameters: {
+        type: "object",
+        properties: {
+          pattern: { type: "string", description: "Glob pattern, relative to path" },
+          path: { type: "string", description: "Directory to search from (default: cwd)" },
+          offset: { type: "integer", description: "Skip this many results (for paging)" },
+        },
+        required: ["pattern"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_ls",
+      description: "List a directory's entries (directories first, with file sizes).",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Directory to list (default: cwd)" },
+          offset: { type: "integer", description: "Skip this many entries (for paging)" },
+        },
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "tool_task",
+      description:
+        "Hand a self-contained job to a sub-agent that works in its own fresh context with its own " +
+        "tools, and get back only its final report. Use it for broad searches, reviews or audits " +
+        "that would otherwise fill this conversation with tool output. The sub-agent can't see " +
+        "this conversation, so spell out everything it needs in the task.",
+      parameters: {
+        type: "object",
+        properties: {
+          agent: { type: "string", description: "Agent to delegate to (default: explorer)" },
+          task: { type: "string", description: "Complete instructions, including what the report should contain" },
+        },
+        required: ["task"],
+      },
+    },
+  },
+];
+
+// ─── Permissions (.chalk/settings.json) ─────────────────────────────────────
+
+const PROJECT_SETTINGS = path.join(process.cwd(), ".chalk", "settings.json");
+const GLOBAL_SETTINGS = path.join(CHALK_HOME, "settings.json");
+
+// Refused outright, whatever the rules say
+const HARD_DENY_PATTERNS = [
+  { re: /\brm\s+(-[a-zA-Z]*[rf][a-zA-Z]*\s+)+(--no-preserve-root\s+)?(\/|\/\*|~|~\/|\$HOME)(\s|$)/, label: "rm -rf on / or ~" },
+  { re: /\bmkfs(\.\w+)?\b/, label: "mkfs (format a filesystem)" },
+  { re: /\bdd\b.*\bof=\/dev\/(sd|nvme|hd|disk)/, label: "dd onto a raw disk" },
+  { re: />\s*\/dev\/(sd|nvme|hd|disk)\w*/, label: "redirect onto a raw disk" },
+  { re: /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/, label: "fork bomb" },
+  { re: /\bchmod\s+(-R\s+)?[0-7]*777\s+\/(\s|$)/, label: "chmod 777 /" },
+  { re: /(^|[;&|\n(`]|\$\()\s*(sudo\s+(-\S+\s+)*)?(shutdown|reboot|halt|poweroff)\b/, label: "shutdown/reboot" },
+  { re: /\bformat\s+[a-zA-Z]:/i, label: "format a drive" },
 ];
 
-// ─── Tool Execution with y/n Confirmation ───────────────────────────────────
-
-function ask(question) {
-  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      rl.close();
-      resolve(answer.trim().toLowerCase());
-    });
-  });
-}
-
-async function execToolRun(command) {
-  console.log(chalk.dim(`\n  $ ${command}`));
-  const answer = await ask(chalk.yellow("  Run this command? (Y/n) "));
-  if (answer === "n" || answer === "no") {
-    return { output: "User denied command execution.", success: false };
-  }
-  try {
-    const shell = process.platform === "win32" ? "powershell.exe" : "/bin/sh";
-    const result = execSync(command, {
-      encoding: "utf-8",
-      stdio: ["pipe", "pipe", "pipe"],
-      timeout: TOOL_TIMEOUT_MS,
-      cwd: process.cwd(),
-      shell,
-    });
-    const trimmed = result.trim();
-    if (trimmed) console.log(chalk.dim(`  ${trimmed.split("\n").join("\n  ")}`));
-    else console.log(chalk.dim("  (completed, no output)"));
-    return { output: trimmed || "(completed, no output)", success: true };
-  } catch (err) {
-    const stderr = err.stderr?.toString().trim() || "";
-    const stdout = err.stdout?.toString().trim() || "";
-    const msg = [stdout, stderr].filter(Boolean).join("\n") || err.message;
-    console.log(chalk.red(`  ${msg.split("\n").join("\n  ")}`));
-    return { output: msg, success: false };
-  }
-}
-
-async function execToolEdit(filepath, content) {
-  const resolved = path.resolve(filepath);
-  const lineCount = content.split("\n").length;
-  console.log(chalk.dim(`\n  Write: ${resolved} (${lineCount} lines)`));
-  const answer = await ask(chalk.yellow("  Write this file? (Y/n) "));
-  if (answer === "n" || answer === "no") {
-    return { output: "User denied file write.", success: false };
-  }
-  try {
-    const dir = path.dirname(resolved);
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    fs.writeFileSync(resolved, content, "utf-8");
-    const msg = `File written: ${resolved} (${lineCount} lines)`;
-    console.log(chalk.green(`  ${msg}`));
-    return { output: msg, success: true };
-  } catch (err) {
-    const msg = `Failed to write: ${err.message}`;
-    console.log(chalk.red(`  ${msg}`));
-    return { output: msg, success: false };
-  }
-}
-
-async function dispatchTool(name, args) {
-  switch (name) {
-    case "tool_run":
-      return execToolRun(args.command);
-    case "tool_edit":
-      return execToolEdit(args.filepath, args.content);
-    default:
-      return { output: `Unknown tool: ${name}`, success: false };
-  }
-}
-
-// ─── Slash Command UI (inquirer-autocomplete-prompt) ────────────────────────
-
-const SLASH_COMMANDS = [
-  { name: "/help",    description: "Show available commands and usage" },
-  { name: "/clear",   description: "Clear the terminal screen" },
-  { name: "/agents",  description: "Show system status and health" },
-  { name: "/config",  description: "Show configuration and paths" },
-  { name: "/model",   description: "Show current AI model" },
-  { name: "/tree",    description: "Show project file tree" },
-  { name: "/cost",    description: "Show token usage this session" },
-  { name: "/compact", description: "Truncate conversation to save context" },
-  { name: "/new",     description: "Start a new conversation" },
-  { name: "/exit",    description: "Exit Chalk" },
-];
-
-async function showSlashMenu() {
-  return new Promise((resolve) => {
-    let filter = "";
-    let selected = 0;
-    let filtered = [...SLASH_COMMANDS];
+const warnedSettings = new Set();
+
+function readSettings(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    if (!warnedSettings.has(file)) {
+      console.log(chalk.yellow(`  [warn] Ignoring ${file}: ${err.message}`));
+      warnedSettings.add(file);
+    }
+    return {};
+  }
+}
+
+function writeSettings(file, settings) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(settings, null, 2) + "\n", "utf-8");
+}
+
+/** Rules from project then global settings, tagged with where they came from. */
+function loadPermissionRules() {
+  const rules = [];
+  for (const [scope, file] of [["project", PROJECT_SETTINGS], ["global", GLOBAL_SETTINGS]]) {
+    const perms = readSettings(file).permissions || {};
+    for (const action of ["deny", "ask", "allow"]) {
+      for (const rule of perms[action] || []) rules.push({ action, rule, scope });
+    }
+  }
+  return rules;
+}
+
+/** "Run(npm test*)" -> { kind: "Run", pattern: "npm test*" }. Bare "Run" means everything. */
+function parseRule(rule) {
+  const m = /^(\w+)(?:\((.*)\))?$/.exec(String(rule).trim());
+  return m ? { kind: m[1], pattern: m[2] ?? "*" } : null;
+}
+
+function normalizeCommand(command) {
+  return command.trim().replace(/\s+/g, " ");
+}
+
+/** Split on &&, ||, ;, |, a lone & and newlines outside of quotes (not the & in 2>&1 or &>). */
+function splitCommand(command) {
+  const parts = [];
+  let cur = "";
+  let quote = null;
+  for (let i = 0; i < command.length; i++) {
+    const c = command[i];
+    if (quote) {
+      if (c === quote) quote = null;
+      cur += c;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+      cur += c;
+    } else if (c === ";" || c === "\n" || c === "|" || (c === "&" && command[i - 1] !== ">" && command[i + 1] !== ">")) {
+      if (command[i + 1] === c) i++;
+      parts.push(cur);
+      cur = "";
+    } else {
+      cur += c;
+    }
+  }
+  parts.push(cur);
+  return parts.map(normalizeCommand).filter(Boolean);
+}
+
+function commandPatternMatches(pattern, command) {
+  const re = new RegExp("^" + normalizeCommand(pattern).split("*").map((p) => p.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*") + "$");
+  return re.test(command);
+}
+
+function pathPatternMatches(pattern, resolved) {
+  const target = path.isAbsolute(pattern) ? toPosix(resolved) : toPosix(path.relative(process.cwd(), resolved));
+  return globToRegExp(toPosix(pattern)).test(target);
+}
+
+// Redirections, background jobs and subshells: a prefix rule can't vouch for these
+const UNSAFE_SHELL_SYNTAX = /[<>()`]|\$\(|(^|[^&])&(?!&)/;
+
+/**
+ * Decide allow / deny / ask for a Run (shell command), Edit (file path) or
+ * Mcp (namespaced MCP tool name).
+ * Deny beats ask beats allow. A compound command is only auto-allowed when
+ * every part is allowed. Redirections, a lone &, $(...) and backticks are
+ * only allowed by a rule that spells them out.
+ */
+function checkPermission(kind, subject, extraRules = []) {
+  if (kind === "Run") {
+    const hit = HARD_DENY_PATTERNS.find((p) => p.re.test(subject));
+    if (hit) return { action: "deny", reason: `hard-deny safety rule (${hit.label})`, hard: true };
+  }
+
+  const matches = (pattern) => {
+    if (kind === "Mcp") return commandPatternMatches(pattern, subject);
+    if (kind !== "Run") return pathPatternMatches(pattern, subject);
+    const whole = normalizeCommand(subject);
+    return commandPatternMatches(pattern, whole) || splitCommand(subject).some((part) => commandPatternMatches(pattern, part));
+  };
+  const rules = [...loadPermissionRules(), ...extraRules]
+    .map((r) => ({ ...r, parsed: parseRule(r.rule) }))
+    .filter((r) => r.parsed && (r.parsed.kind === kind || (kind === "Edit" && r.parsed.kind === "Write")));
+
+  for (const action of ["deny", "ask"]) {
+    const hit = rules.find((r) => r.action === action && matches(r.parsed.pattern));
+    if (hit) return { action, reason: `${hit.scope} rule ${hit.rule}` };
+  }
+
+  const allows = rules.filter((r) => r.action === "allow");
+  if (kind !== "Run") {
+    const hit = allows.find((r) => matches(r.parsed.pattern));
+    if (hit) return { action: "allow", reason: `${hit.scope} rule ${hit.rule}` };
+  } else {
+    // A rule naming the exact command, or one that itself contains the unsafe syntax, covers it explicitly
+    const whole = normalizeCommand(subject);
+    const explicit = allows.find((r) => normalizeCommand(r.parsed.pattern) === whole ||
+      (UNSAFE_SHELL_SYNTAX.test(r.parsed.pattern) && commandPatternMatches(r.parsed.pattern, whole)));
+    if (explicit) return { action: "allow", reason: `${explicit.scope} rule ${explicit.rule}` };
+    if (UNSAFE_SHELL_SYNTAX.test(subject)) return { action: "ask" };
+    const parts = splitCommand(subject);
+    const hits = parts.map((part) => allows.find((r) => commandPatternMatches(r.parsed.pattern, part)));
+    if (parts.length > 0 && hits.every(Boolean)) return { action: "allow", reason: `${hits[0].scope} rule ${hits[0].rule}` };
+  }
+  return { action: "ask" };
+}
+
+/**
+ * The rule offered by "always allow": the exact command (a prefix would let
+ * "git push origin feature" approve "git push --force"), or the file's folder.
+ */
+function suggestRule(kind, subject) {
+  if (kind === "Mcp") return `Mcp(${subject})`;
+  if (kind === "Run") return `Run(${normalizeCommand(subject)})`;
+  const rel = toPosix(path.relative(process.cwd(), subject));
+  if (rel.startsWith("..")) {
+    return kind === "Read" ? `Read(${toPosix(path.dirname(subject))}/**)` : `Edit(${toPosix(subject)})`;
+  }
+  const dir = path.posix.dirname(rel);
+  return `${kind}(${dir === "." ? rel : `${dir}/**`})`;
+}
+
+function addPermissionRule(scope, action, rule) {
+  const file = scope === "project" ? PROJECT_SETTINGS : GLOBAL_SETTINGS;
+  const settings = readSettings(file);
+  settings.permissions = settings.permissions || {};
+  const list = settings.permissions[action] || [];
+  if (!list.includes(rule)) list.push(rule);
+  settings.permissions[action] = list;
+  writeSettings(file, settings);
+}
+
+function removePermissionRule(scope, action, rule) {
+  const file = scope === "project" ? PROJECT_SETTINGS : GLOBAL_SETTINGS;
+  const settings = readSettings(file);
+  const list = settings.permissions?.[action] || [];
+  settings.permissions[action] = list.filter((r) => r !== rule);
+  writeSettings(file, settings);
+}
+
+/**
+ * Gate a tool call through the rules, asking the user when no rule decides.
+ * The prompt also offers to remember the answer as an allow rule.
+ * Returns { approved, output } where output explains a refusal.
+ */
+async function requestPermission(kind, subject, question) {
+  const decision = checkPermission(kind, subject, headless.allowedRules);
+  if (decision.action === "deny") {
+    console.log(chalk.red(`  Refused: ${decision.reason}`));
+    emitEvent({ type: "permission_denied", kind, subject, reason: decision.reason });
+    if (headless.enabled) headless.deniedCount++;
+    return { approved: false, output: `Not allowed: blocked by ${decision.reason}.` };
+  }
+  if (decision.action === "allow") {
+    console.log(chalk.dim(`  (allowed by ${decision.reason})`));
+    return { approved: true };
+  }
+
+  // Nobody to ask in headless mode
+  if (headless.enabled) {
+    if (headless.autoApprove) return { approved: true };
+    console.log(chalk.red(`  Denied (non-interactive): ${kind} ${subject}`));
+    emitEvent({ type: "permission_denied", kind, subject, reason: "not allowed in non-interactive mode" });
+    headless.deniedCount++;
+    return {
+      approved: false,
+      output: "Not allowed: Chalk is running non-interactively and this call was not pre-approved " +
+        "(--allowed-tools or --yes).",
+    };
+  }
+
+  const rule = suggestRule(kind, subject);
+  const answer = await ask(
+    chalk.yellow(`  ${question} `) +
+    chalk.dim(`(Y/n, a = always allow ${rule} here, g = always allow everywhere) `)
+  );
+  if (answer === "n" || answer === "no") {
+    const what = { Run: "command execution", Edit: "file write", Read: "read access", Mcp: "the MCP tool call" }[kind];
+    return { approved: false, output: `User denied ${what}.` };
+  }
+  if (answer === "a" || answer === "g") {
+    const scope = answer === "a" ? "project" : "global";
+    addPermissionRule(scope, "allow", rule);
+    console.log(chalk.dim(`  Saved ${rule} to ${scope === "project" ? PROJECT_SETTINGS : GLOBAL_SETTINGS}`));
+  }
+  return { approved: true };
+}
+
+async function showPermissionsDialog() {
+  while (true) {
+    const rules = loadPermissionRules();
+    console.log("");
+    console.log(BAR + chalk.bold.cyan("Permissions"));
+    console.log(DIVIDER);
+    if (rules.length === 0) console.log(BAR_DIM + chalk.dim("No rules yet. Every command and write asks first."));
+    for (const r of rules) {
+      const color = r.action === "allow" ? chalk.green : r.action === "deny" ? chalk.red : chalk.yellow;
+      console.log(BAR_DIM + `${color(r.action.padEnd(6))} ${chalk.white(r.rule.padEnd(36))} ${chalk.dim(r.scope)}`);
+    }
+    console.log(BAR_DIM + chalk.dim("Run(<command glob>) matches shell commands, Edit(<path glob>) file writes,"));
+    console.log(BAR_DIM + chalk.dim("Read(<path glob>) reads outside the project, Mcp(<tool glob>) MCP tool calls."));
+    console.log(DIVIDER);
+    console.log("");
+
+    const choice = await panelSelect("What next?", "Deny beats ask beats allow.", [
+      "Add an allow rule",
+      "Add a deny rule",
+      "Add an ask rule",
+      "Remove a rule",
+      "Done",
+    ]);
+    if (choice === -1 || choice === 4) return;
+
+    if (choice === 3) {
+      if (rules.length === 0) continue;
+      console.log("");
+      const idx = await panelSelect("Remove which rule?", "", rules.map((r) => `${r.action.padEnd(6)} ${r.rule}  (${r.scope})`));
+      if (idx === -1) continue;
+      removePermissionRule(rules[idx].scope, rules[idx].action, rules[idx].rule);
+      continue;
+    }
+
+    const action = ["allow", "deny", "ask"][choice];
+    console.log("");
+    const rule = await panelInput(
+      `New ${action} rule`,
+      "e.g. Run(npm test*), Run(git status), Edit(src/**), Edit(migrations/**), Mcp(mcp__db__*)",
+      "Run(...), Edit(...), Read(...) or Mcp(...)"
+    );
+    if (!rule?.trim()) continue;
+    const parsed = parseRule(rule);
+    if (!parsed || !["Run", "Edit", "Read", "Mcp"].includes(parsed.kind)) {
+      console.log(chalk.yellow("  Rules look like Run(<command glob>), Edit(<path glob>), Read(<path glob>) or Mcp(<tool glob>)."));
+      continue;
+    }
+    console.log("");
+    const scopeIdx = await panelSelect("Save it where?", "", [
+      `This project  (${path.relative(process.cwd(), PROJECT_SETTINGS)})`,
+      "Global        (~/.chalk/settings.json)",
+    ]);
+    if (scopeIdx === -1) continue;
+    addPermissionRule(scopeIdx === 0 ? "project" : "global", action, rule.trim());
+  }
+}
+
+// ─── Project Trust (hooks and servers from a checkout) ──────────────────────
+
+// Projects whose .chalk/ may run commands: absolute path -> hash of the
+// commands the user approved there
+const TRUSTED_PROJECTS_FILE = path.join(CHALK_HOME, "trusted-projects.json");
+
+// Set once at startup by resolveProjectTrust(); until then project hooks don't run
+const projectTrust = { trusted: false };
+
+/**
+ * Commands this project's .chalk/ would run on its own, as display lines.
+ * Trust is keyed on these, so they carry everything that changes what runs.
+ */
+function projectCommandLines() {
+  const lines = [];
+  const hooks = readSettings(PROJECT_SETTINGS).hooks || {};
+  for (const event of HOOK_EVENTS) {
+    for (const entry of Array.isArray(hooks[event]) ? hooks[event] : []) {
+      const command = typeof entry === "string" ? entry : entry?.command;
+      if (typeof command === "string" && command.trim()) lines.push(`hook ${event}: ${command}`);
+    }
+  }
+  const servers = readSettings(MCP_PROJECT_CONFIG).mcpServers || {};
+  for (const [name, spec] of Object.entries(servers)) {
+    if (spec && typeof spec.command === "string" && !spec.disabled) {
+      const extras = [
+        spec.cwd ? `cwd ${spec.cwd}` : "",
+        ...Object.entries(spec.env || {}).map(([key, value]) => `${key}=${value}`),
+      ].filter(Boolean);
+      const command = [spec.command, ...(Array.isArray(spec.args) ? spec.args : [])].join(" ");
+      lines.push(`MCP server ${name}: ${command}${extras.length ? ` (${extras.join(", ")})` : ""}`);
+    }
+  }
+  return lines;
+}
+
+function commandsHash(lines) {
+  return crypto.createHash("sha256").update(lines.join("\n")).digest("hex");
+}
+
+/** The approved hash for this project, or null. Old path-only entries approved nothing in particular. */
+function trustedCommandsHash() {
+  const projects = readSettings(TRUSTED_PROJECTS_FILE).projects;
+  if (!projects || Array.isArray(projects) || typeof projects !== "object") return null;
+  return typeof projects[process.cwd()] === "string" ? projects[process.cwd()] : null;
+}
+
+function trustProject(lines) {
+  const settings = readSettings(TRUSTED_PROJECTS_FILE);
+  const projects = settings.projects && !Array.isArray(settings.projects) && typeof settings.projects === "object" ? settings.projects : {};
+  projects[process.cwd()] = commandsHash(lines);
+  writeSettings(TRUSTED_PROJECTS_FILE, { ...settings, projects });
+}
+
+/**
+ * A freshly cloned repo must not run commands just because Chalk started in
+ * it: ask before a project's hooks (or MCP servers) may run, and ask again
+ * whenever that set of commands changes (a pull, a branch switch). Runs
+ * without a terminal skip them unless these exact commands were trusted.
+ */
+async function resolveProjectTrust() {
+  const lines = projectCommandLines();
+  if (lines.length === 0) return;
+  const approved = trustedCommandsHash();
+  if (approved === commandsHash(lines)) {
+    projectTrust.trusted = true;
+    return;
+  }
+  if (headless.enabled || !process.stdin.isTTY) {
+    const why = approved ? "they changed since it was trusted" : "it isn't trusted yet";
+    console.log(chalk.yellow(`  Skipping this project's hooks and MCP servers: ${why}. Run chalk here interactively to review them.`));
+    return;
+  }
+
+  console.log("");
+  console.log(BAR + chalk.bold.yellow(approved ? "This project's commands changed since you trusted it" : "This project wants to run commands"));
+  console.log(BAR_DIM + chalk.dim("From .chalk/settings.json and .chalk/mcp.json:"));
+  console.log(DIVIDER);
+  for (const line of lines.slice(0, 20)) console.log(BAR_DIM + chalk.white(line));
+  if (lines.length > 20) console.log(BAR_DIM + chalk.dim(`... and ${lines.length - 20} more`));
+  console.log(DIVIDER);
+  console.log("");
+  const choice = await panelSelect("Trust this project?", "Only trust repos you know. Chalk asks again if these commands change.", [
+    "Skip them this time",
+    "Trust this project and run them",
+  ]);
+  if (choice !== 1) {
+    console.log(chalk.dim("  Project hooks and MCP servers are off for this session."));
+    return;
+  }
+  trustProject(lines);
+  projectTrust.trusted = true;
+  console.log(chalk.dim(`  Trusted ${process.cwd()} (saved to ${TRUSTED_PROJECTS_FILE})`));
+}
+
+// ─── Hooks (.chalk/settings.json "hooks") ───────────────────────────────────
+
+// settings.json: { "hooks": { "PostToolUse": [{ "matcher": "tool_edit|tool_patch",
+//   "command": "npx prettier --write \"$CHALK_FILE\"" }] } }
+const HOOK_EVENTS = ["PreToolUse", "PostToolUse", "UserPromptSubmit", "SessionStart", "SessionEnd"];
+const HOOK_TIMEOUT_MS = 60_000;
+// Exit code a hook uses to block the action; stderr says why
+const HOOK_BLOCK_EXIT = 2;
+
+/**
+ * Hooks for an event from project then global settings. `matcher` is a regex
+ * on the tool name. Project hooks are flagged untrusted until the user
+ * trusts the project.
+ */
+function loadHooks(event) {
+  const hooks = [];
+  for (const [scope, file] of [["project", PROJECT_SETTINGS], ["global", GLOBAL_SETTINGS]]) {
+    const list = readSettings(file).hooks?.[event];
+    if (!Array.isArray(list)) continue;
+    for (const entry of list) {
+      const hook = typeof entry === "string" ? { command: entry } : entry;
+      if (!hook || typeof hook.command !== "string" || !hook.command.trim()) continue;
+      hooks.push({ ...hook, scope, trusted: scope === "global" || projectTrust.trusted });
+    }
+  }
+  return hooks;
+}
+
+function hookMatches(hook, tool) {
+  if (!hook.matcher || hook.matcher === "*" || !tool) return true;
+  try {
+    return new RegExp(`^(?:${hook.matcher})$`).test(tool);
+  } catch {
+    return hook.matcher === tool;
+  }
+}
+
+/** Environment for a hook: the event plus handy fields so simple hooks don't need to parse JSON. */
+function hookEnv(event, payload) {
+  const env = { ...process.env, CHALK_EVENT: event, CHALK_PROJECT_DIR: process.cwd(), CHALK_SESSION_ID: payload.session_id || "" };
+  if (payload.tool) env.CHALK_TOOL = payload.tool;
+  if (payload.input?.filepath) env.CHALK_FILE = path.resolve(payload.input.filepath);
+  if (payload.input?.command) env.CHALK_COMMAND = payload.input.command;
+  return env;
+}
+
+/**
+ * Run every hook for an event. Each gets the event as JSON on stdin. Exit 0
+ * continues; stdout may be JSON ({ "decision": "block", "reason" },
+ * { "input" } to replace tool arguments, { "prompt" } to replace the prompt,
+ * { "context" } to annotate) or plain text, which counts as context. Exit 2
+ * blocks with stderr as the reason; other failures only warn.
+ * Returns { blocked, reason, input, prompt, context: [] }.
+ */
+function runHooks(event, payload, tool = null) {
+  const outcome = { blocked: false, reason: "", input: null, prompt: null, context: [] };
+  const hooks = loadHooks(event).filter((h) => h.trusted && hookMatches(h, tool));
+  if (hooks.length === 0) return outcome;
+
+  const data = { event, session_id: checkpointState.sessionId, cwd: process.cwd(), ...payload };
+  for (const hook of hooks) {
+    if (outcome.input) data.input = outcome.input;
+    if (outcome.prompt !== null) data.prompt = outcome.prompt;
+
+    const res = spawnSync(hook.command, {
+      shell: true,
+      cwd: process.cwd(),
+      input: JSON.stringify(data),
+      encoding: "utf-8",
+      env: hookEnv(event, data),
+      timeout: (Number(hook.timeout) || HOOK_TIMEOUT_MS / 1000) * 1000,
+    });
+    const stdout = (res.stdout || "").trim();
+    const stderr = (res.stderr || "").trim();
+    emitEvent({ type: "hook", event, command: hook.command, exit_code: res.status });
+
+    // EPIPE only means the hook exited without reading stdin
+    if ((res.error && res.error.code !== "EPIPE") || res.status === null) {
+      const why = res.error?.code === "ETIMEDOUT" || res.signal ? "timed out" : res.error?.message || "failed";
+      console.log(chalk.yellow(`  [hook] ${event} ${hook.command}: ${why}`));
+      continue;
+    }
+    if (res.status === HOOK_BLOCK_EXIT) {
+      outcome.blocked = true;
+      outcome.reason = stderr || stdout || `blocked by ${hook.command}`;
+      break;
+    }
+    if (res.status !== 0) {
+      console.log(chalk.yellow(`  [hook] ${event} ${hook.command} exited with ${res.status}${stderr ? `: ${stderr.split("\n")[0]}` : ""}`));
+      continue;
+    }
+
+    let reply = null;
+    if (stdout.startsWith("{")) {
+      try {
+        reply = JSON.parse(stdout);
+      } catch { /* plain text after all */ }
+    }
+    if (!reply) {
+      if (stdout) outcome.context.push(stdout);
+      continue;
+    }
+    if (reply.decision === "block") {
+      outcome.blocked = true;
+      outcome.reason = String(reply.reason || `blocked by ${hook.command}`);
+      break;
+    }
+    if (reply.input && typeof reply.input === "object") outcome.input = reply.input;
+    if (typeof reply.prompt === "string") outcome.prompt = reply.prompt;
+    if (reply.context) outcome.context.push(String(reply.context));
+  }
+  if (outcome.blocked) {
+    console.log(chalk.red(`  Blocked by ${event} hook: ${outcome.reason}`));
+    emitEvent({ type: "hook_blocked", event, tool, reason: outcome.reason });
+  }
+  return outcome;
+}
+
+/** A one-shot or headless system prompt plus what SessionStart hooks said, as the REPL adds it. */
+function withSessionNotes(systemPrompt, notes) {
+  return notes.length ? [systemPrompt, "", "Session notes from hooks:", ...notes].join("\n") : systemPrompt;
+}
+
+function showHooks() {
+  console.log("");
+  console.log(BAR + chalk.bold.cyan("Hooks"));
+  console.log(DIVIDER);
+  let any = false;
+  for (const event of HOOK_EVENTS) {
+    for (const hook of loadHooks(event)) {
+      any = true;
+      const matcher = hook.matcher && hook.matcher !== "*" ? chalk.dim(` [${hook.matcher}]`) : "";
+      const scope = hook.trusted ? chalk.dim(`  ${hook.scope}`) : chalk.yellow(`  ${hook.scope}, not trusted`);
+      console.log(BAR_DIM + chalk.white(event.padEnd(17)) + hook.command + matcher + scope);
+    }
+  }
+  if (!any) console.log(BAR_DIM + chalk.dim("No hooks. Add them under \"hooks\" in .chalk/settings.json."));
+  console.log(BAR_DIM + chalk.dim(`Events: ${HOOK_EVENTS.join(", ")}. Exit 2 blocks; stdout JSON can change input.`));
+  console.log(DIVIDER);
+}
+
+// ─── MCP Servers (.chalk/mcp.json) ──────────────────────────────────────────
+
+// mcp.json: { "mcpServers": { "db": { "command": "node", "args": ["db-server.js"], "env": {} } } }
+const MCP_PROJECT_CONFIG = path.join(process.cwd(), ".chalk", "mcp.json");
+const MCP_GLOBAL_CONFIG = path.join(CHALK_HOME, "mcp.json");
+const MCP_PROTOCOL_VERSION = "2025-06-18";
+const MCP_START_TIMEOUT_MS = 15_000;
+const MCP_CALL_TIMEOUT_MS = 120_000;
+// Tools from server "db" reach the model as mcp__db__<tool>
+const MCP_PREFIX = "mcp__";
+
+// name -> { name, scope, spec, status, error, tools, proc, pending, nextId, stderr }
+const mcpServers = new Map();
+
+/** Server specs from project then global mcp.json; a project server shadows a global one of the same name. */
+function loadMcpConfig() {
+  const specs = new Map();
+  for (const [scope, file] of [["project", MCP_PROJECT_CONFIG], ["global", MCP_GLOBAL_CONFIG]]) {
+    const servers = readSettings(file).mcpServers;
+    if (!servers || typeof servers !== "object") continue;
+    for (const [name, spec] of Object.entries(servers)) {
+      if (specs.has(name) || !spec || typeof spec !== "object") continue;
+      specs.set(name, { ...spec, scope });
+    }
+  }
+  return specs;
+}
+
+function mcpToolName(server, tool) {
+  return `${MCP_PREFIX}${server}__${tool}`.replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+
+/** Send a JSON-RPC request and wait for its response. */
+function mcpRequest(server, method, params, timeoutMs = MCP_CALL_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    if (!server.proc || server.proc.exitCode !== null) {
+      reject(new Error("server is not running"));
+      return;
+    }
+    const id = server.nextId++;
+    const timer = setTimeout(() => {
+      server.pending.delete(id);
+      reject(new Error(`${method} timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+    server.pending.set(id, { resolve, reject, timer });
+    server.proc.stdin.write(JSON.stringify({ jsonrpc: "2.0", id, method, params }) + "\n");
+  });
+}
+
+function mcpNotify(server, method, params) {
+  server.proc.stdin.write(JSON.stringify({ jsonrpc: "2.0", method, ...(params ? { params } : {}) }) + "\n");
+}
+
+/** Route one line from the server: responses settle their request, requests we don't serve get an error. */
+function handleMcpMessage(server, line) {
+  let msg;
+  try {
+    msg = JSON.parse(line);
+  } catch {
+    return;
+  }
+  if (msg.id !== undefined && (msg.result !== undefined || msg.error !== undefined)) {
+    const waiter = server.pending.get(msg.id);
+    if (!waiter) return;
+    server.pending.delete(msg.id);
+    clearTimeout(waiter.timer);
+    if (msg.error) waiter.reject(new Error(msg.error.message || `error ${msg.error.code}`));
+    else waiter.resolve(msg.result);
+  } else if (msg.id !== undefined && msg.method) {
+    const reply = msg.method === "ping"
+      ? { jsonrpc: "2.0", id: msg.id, result: {} }
+      : { jsonrpc: "2.0", id: msg.id, error: { code: -32601, message: `Chalk does not support ${msg.method}` } };
+    server.proc.stdin.write(JSON.stringify(reply) + "\n");
+  }
+}
+
+function failMcpServer(server, error) {
+  server.status = "failed";
+  server.error = error;
+  for (const waiter of server.pending.values()) {
+    clearTimeout(waiter.timer);
+    waiter.reject(new Error(error));
+  }
+  server.pending.clear();
+}
+
+/** Spawn a server, run the initialize handshake and list its tools. Never throws; see server.status. */
+async function startMcpServer(name, spec) {
+  const server = {
+    name, scope: spec.scope, spec, status: "starting", error: "", tools: [],
+    proc: null, pending: new Map(), nextId: 1, stderr: "",
+  };
+  mcpServers.set(name, server);
+  if (spec.disabled) {
+    server.status = "disabled";
+    return server;
+  }
+  if (spec.scope === "project" && !projectTrust.trusted) {
+    server.status = "untrusted";
+    server.error = "project not trusted; restart chalk here to review it";
+    return server;
+  }
+  if (typeof spec.command !== "string" || !spec.command.trim()) {
+    server.status = "failed";
+    server.error = '"command" must be a non-empty string';
+    return server;
+  }
+
+  try {
+    server.proc = spawn(spec.command, Array.isArray(spec.args) ? spec.args.map(String) : [], {
+      cwd: spec.cwd ? path.resolve(expandHome(spec.cwd)) : process.cwd(),
+      env: { ...process.env, ...(spec.env || {}) },
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+  } catch (err) {
+    failMcpServer(server, err.message);
+    return server;
+  }
+  server.proc.on("error", (err) => failMcpServer(server, err.message));
+  server.proc.on("exit", (code, signal) => {
+    if (server.status === "starting" || server.status === "connected") failMcpServer(server, `exited (${signal || `code ${code}`})${server.stderr ? `: ${server.stderr.trim().split("\n").pop()}` : ""}`);
+  });
+  server.proc.stdin.on("error", () => {});
+  readline.createInterface({ input: server.proc.stdout }).on("line", (line) => handleMcpMessage(server, line));
+  // Keep the tail of stderr for /mcp and crash messages
+  server.proc.stderr.on("data", (chunk) => { server.stderr = (server.stderr + chunk).slice(-2000); });
+
+  try {
+    const timeout = Number(spec.timeout) * 1000 || MCP_START_TIMEOUT_MS;
+    const init = await mcpRequest(server, "initialize", {
+      protocolVersion: MCP_PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: "chalk", version: VERSION },
+    }, timeout);
+    server.info = init?.serverInfo || null;
+    mcpNotify(server, "notifications/initialized");
+
+    let cursor;
+    do {
+      const page = await mcpRequest(server, "tools/list", cursor ? { cursor } : {}, timeout);
+      for (const tool of page?.tools || []) {
+        if (tool?.name) server.tools.push({ ...tool, qualifiedName: mcpToolName(name, tool.name) });
+      }
+      cursor = page?.nextCursor;
+    } while (cursor);
+    server.status = "connected";
+  } catch (err) {
+    if (server.status !== "failed") failMcpServer(server, err.message);
+    stopMcpServer(server);
+  }
+  return server;
+}
+
+function stopMcpServer(server) {
+  const failed = server.status === "failed";
+  if (!failed) server.status = "stopped";
+  if (server.proc && server.proc.exitCode === null) server.proc.kill();
+}
+
+function stopMcpServers() {
+  for (const server of mcpServers.values()) stopMcpServer(server);
+}
+
+/** Start every configured server in parallel. Failures are reported, not fatal. */
+async function startMcpServers() {
+  stopMcpServers();
+  mcpServers.clear();
+  const specs = loadMcpConfig();
+  if (specs.size === 0) return;
+
+  const spinner = ora({ text: `Starting ${specs.size} MCP server${specs.size === 1 ? "" : "s"}...`, color: "cyan", isSilent: headless.enabled }).start();
+  const servers = await Promise.all([...specs].map(([name, spec]) => startMcpServer(name, spec)));
+  spinner.stop();
+  markMcpNameCollisions(servers);
+  for (const server of servers) {
+    if (server.status === "connected") {
+      console.log(chalk.dim(`  MCP ${server.name}: ${server.tools.length} tool${server.tools.length === 1 ? "" : "s"}`));
+    } else if (server.status === "failed") {
+      console.log(chalk.yellow(`  MCP ${server.name} failed to start: ${server.error}`));
+    }
+    emitEvent({ type: "mcp_server", name: server.name, status: server.status, tools: server.tools.length, error: server.error || undefined });
+  }
+}
+
+/**
+ * Sanitizing and the 64-char cut can map two tools to one name. Neither is
+ * offered to the model then, and /mcp says why.
+ */
+function markMcpNameCollisions(servers) {
+  const owners = new Map();
+  for (const server of servers) {
+    for (const tool of server.tools) {
+      const list = owners.get(tool.qualifiedName) || [];
+      list.push({ server, tool });
+      owners.set(tool.qualifiedName, list);
+    }
+  }
+  for (const [name, list] of owners) {
+    if (list.length < 2) continue;
+    const who = list.map(({ server, tool }) => `${server.name}/${tool.name}`).join(", ");
+    for (const { tool } of list) tool.collision = `name ${name} is shared by ${who}`;
+    console.log(chalk.yellow(`  MCP tools ${who} all map to ${name}; none of them are available.`));
+  }
+}
+
+/** Tool definitions for every connected server, in the same shape as TOOL_DEFINITIONS. */
+function mcpToolDefinitions() {
+  const defs = [];
+  for (const server of mcpServers.values()) {
+    if (server.status !== "connected") continue;
+    for (const tool of server.tools) {
+      if (tool.collision) continue;
+      defs.push({
+        type: "function",
+        function: {
+          name: tool.qualifiedName,
+          description: `[MCP ${server.name}] ${tool.description || tool.name}`,
+          parameters: tool.inputSchema && typeof tool.inputSchema === "object"
+            ? tool.inputSchema
+            : { type: "object", properties: {} },
+        },
+      });
+    }
+  }
+  return defs;
+}
+
+function allToolDefinitions() {
+  return [...TOOL_DEFINITIONS, ...mcpToolDefinitions()];
+}
+
+function findMcpTool(qualifiedName) {
+  for (const server of mcpServers.values()) {
+    const tool = server.tools.find((t) => t.qualifiedName === qualifiedName && !t.collision);
+    if (tool) return { server, tool };
+  }
+  return null;
+}
+
+/** Flatten an MCP tools/call result into text for the model. */
+function mcpResultText(result) {
+  const parts = (result?.content || []).map((item) => {
+    if (item.type === "text") return item.text;
+    if (item.type === "resource") return item.resource?.text ?? `[resource ${item.resource?.uri || ""}]`;
+    if (item.type === "resource_link") return `[resource ${item.uri}]`;
+    return `[${item.type} content omitted]`;
+  });
+  if (parts.length === 0 && result?.structuredContent) parts.push(JSON.stringify(result.structuredContent, null, 2));
+  return parts.join("\n").trim();
+}
+
+/** Call an MCP tool after the same permission check as a shell command. */
+async function execMcpTool(qualifiedName, args) {
+  const found = findMcpTool(qualifiedName);
+  if (!found) return { output: `MCP tool ${qualifiedName} is not available (server not connected).`, success: false };
+  const { server, tool } = found;
+
+  const argText = JSON.stringify(args || {});
+  console.log(chalk.dim(`\n  ${server.name} > ${tool.name} ${argText.length > 200 ? argText.slice(0, 200) + "..." : argText}`));
+  const permission = await requestPermission("Mcp", qualifiedName, `Call ${tool.name} on MCP server ${server.name}?`);
+  if (!permission.approved) return { output: permission.output, success: false };
+
+  try {
+    const timeout = Number(server.spec.callTimeout) * 1000 || MCP_CALL_TIMEOUT_MS;
+    const result = await mcpRequest(server, "tools/call", { name: tool.name, arguments: args || {} }, timeout);
+    const text = mcpResultText(result) || "(no output)";
+    const preview = text.split("\n");
+    const shown = preview.slice(0, 20).join("\n  ") + (preview.length > 20 ? `\n  ... ${preview.length - 20} more lines` : "");
+    console.log(result?.isError ? chalk.red(`  ${shown}`) : chalk.dim(`  ${shown}`));
+    return { output: capOutput(text), success: !result?.isError };
+  } catch (err) {
+    console.log(chalk.red(`  MCP ${server.name}: ${err.message}`));
+    return { output: `MCP server ${server.name} error: ${err.message}`, success: false };
+  }
+}
+
+function showMcpStatus() {
+  console.log("");
+  console.log(BAR + chalk.bold.cyan("MCP Servers"));
+  console.log(DIVIDER);
+  if (mcpServers.size === 0) {
+    console.log(BAR_DIM + chalk.dim("No servers. Add them under \"mcpServers\" in .chalk/mcp.json or ~/.chalk/mcp.json."));
+  }
+  for (const server of mcpServers.values()) {
+    const color = { connected: chalk.green, failed: chalk.red, disabled: chalk.dim, untrusted: chalk.yellow }[server.status] || chalk.yellow;
+    const version = server.info?.version ? chalk.dim(` v${server.info.version}`) : "";
+    console.log(BAR_DIM + chalk.white(server.name.padEnd(16)) + color(server.status.padEnd(10)) + chalk.dim(server.scope) + version);
+    if (server.error) console.log(BAR_DIM + "  " + chalk.red(server.error));
+    for (const tool of server.tools) {
+      const desc = (tool.description || "").split("\n")[0];
+      if (tool.collision) {
+        console.log(BAR_DIM + "  " + chalk.red(tool.qualifiedName) + chalk.red(`  unavailable: ${tool.collision}`));
+        continue;
+      }
+      console.log(BAR_DIM + "  " + chalk.cyan(tool.qualifiedName) + chalk.dim(desc ? `  ${desc.slice(0, 60)}` : ""));
+    }
+  }
+  console.log(BAR_DIM + chalk.dim("Allow a tool without asking: Mcp(mcp__<server>__<tool>) or Mcp(mcp__<server>__*) in /permissions."));
+  console.log(BAR_DIM + chalk.dim("/mcp restart reloads mcp.json and restarts every server."));
+  console.log(DIVIDER);
+}
+
+// ─── Tool Execution with y/n Confirmation ───────────────────────────────────
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim().toLowerCase());
+    });
+  });
+}
+
+/**
+ * Show a diff of the pending change, ask, then write. Shared by tool_edit
+ * (whole file) and tool_patch (search/replace). oldContent is null for a
+ * file that doesn't exist yet.
+ */
+async function confirmAndWrite(resolved, oldContent, newContent, verb) {
+  const lineCount = splitLines(newContent).length;
+  const displayPath = toPosix(path.relative(process.cwd(), resolved)) || resolved;
+  console.log(chalk.dim(`\n  ${verb}: ${resolved} (${lineCount} lines${oldContent === null ? ", new file" : ""})`));
+  const { added, removed } = printDiff(displayPath, oldContent, newContent);
+  const permission = await requestPermission("Edit", resolved, verb === "Patch" ? "Apply this patch?" : "Write this file?");
+  if (!permission.approved) return { output: permission.output, success: false };
+  try {
+    snapshotFile(resolved, verb === "Patch" ? "tool_patch" : "tool_edit");
+    const dir = path.dirname(resolved);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(resolved, newContent, "utf-8");
+    const msg = `File written: ${resolved} (${lineCount} lines, +${added} -${removed})`;
+    console.log(chalk.green(`  ${msg}`));
+    return { output: msg, success: true };
+  } catch (err) {
+    const msg = `Failed to write: ${err.message}`;
+    console.log(chalk.red(`  ${msg}`));
+    return { output: msg, success: false };
+  }
+}
+
+function readExisting(resolved) {
+  try {
+    return fs.readFileSync(resolved, "utf-8");
+  } catch {
+    return null;
+  }
+}
+
+async function execToolEdit(filepath, content) {
+  if (typeof content !== "string") return { output: "tool_edit needs a string `content`.", success: false };
+  const resolved = path.resolve(filepath);
+  return confirmAndWrite(resolved, readExisting(resolved), content, "Write");
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) count++;
+  return count;
+}
+
+async function execToolPatch(filepath, oldString, newString, replaceAll) {
+  const resolved = path.resolve(filepath || "");
+  const original = readExisting(resolved);
+  if (original === null) return { output: `File not found: ${filepath}. Use tool_edit to create it.`, success: false };
+  if (!oldString) return { output: "old_string must not be empty.", success: false };
+  if (typeof newString !== "string") return { output: "new_string is required (use \"\" to delete).", success: false };
+  if (oldString === newString) return { output: "old_string and new_string are identical; nothing to change.", success: false };
+
+  // The model writes "\n"; keep a CRLF file CRLF
+  let search = oldString;
+  let replacement = newString;
+  if (!original.includes(search) && original.includes("\r\n")) {
+    search = oldString.replace(/\r?\n/g, "\r\n");
+    replacement = newString.replace(/\r?\n/g, "\r\n");
+  }
+
+  const count = countOccurrences(original, search);
+  if (count === 0) {
+    const trimmedHit = oldString.trim() && original.includes(oldString.trim());
+    return {
+      output: `old_string not found in ${filepath}.` +
+        (trimmedHit ? " It does match after trimming surrounding whitespace; check indentation and blank lines." :
+          " Re-read the file with tool_read and copy the exact text, including indentation."),
+      success: false,
+    };
+  }
+  if (count > 1 && !replaceAll) {
+    return {
+      output: `old_string matches ${count} places in ${filepath}. Include more surrounding lines to make it unique, ` +
+        "or set replace_all to change every occurrence.",
+      success: false,
+    };
+  }
+
+  const updated = replaceAll ? original.split(search).join(replacement) : original.replace(search, () => replacement);
+  return confirmAndWrite(resolved, original, updated, "Patch");
+}
+
+// ─── Diff Preview ───────────────────────────────────────────────────────────
+
+const DIFF_CONTEXT_LINES = 3;
+const MAX_DIFF_PREVIEW_LINES = 150;
+const MAX_DIFF_EDIT_DISTANCE = 2000;
+
+/**
+ * Line diff (Myers, O(ND)). Returns [{ op: " " | "-" | "+", text }].
+ * Common prefix/suffix are peeled off first; if the files still differ by
+ * more than MAX_DIFF_EDIT_DISTANCE lines, the middle is reported as one
+ * replaced block rather than spending the memory on an exact diff.
+ */
+function diffLines(a, b) {
+  let pre = 0;
+  while (pre < a.length && pre < b.length && a[pre] === b[pre]) pre++;
+  let suf = 0;
+  while (suf < a.length - pre && suf < b.length - pre && a[a.length - 1 - suf] === b[b.length - 1 - suf]) suf++;
+
+  const head = a.slice(0, pre).map((text) => ({ op: " ", text }));
+  const tail = a.slice(a.length - suf).map((text) => ({ op: " ", text }));
+  const x = a.slice(pre, a.length - suf);
+  const y = b.slice(pre, b.length - suf);
+  const replaced = () => [...x.map((text) => ({ op: "-", text })), ...y.map((text) => ({ op: "+", text }))];
+
+  const n = x.length;
+  const m = y.length;
+  const max = Math.min(n + m, MAX_DIFF_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = n + m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let i = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let j = i - k;
+      while (i < n && j < m && x[i] === y[j]) { i++; j++; }
+      v[offset + k] = i;
+      if (i >= n && j >= m) { found = true; break; }
+    }
+  }
+  if (!found) return [...head, ...replaced(), ...tail];
+
+  // Walk the trace backwards to recover the edit script
+  const ops = [];
+  let i = n;
+  let j = m;
+  for (let d = trace.length - 1; d >= 0 && (i > 0 || j > 0); d--) {
+    const vd = trace[d];
+    const k = i - j;
+    const prevK = k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1]) ? k + 1 : k - 1;
+    const prevI = d === 0 ? 0 : vd[offset + prevK];
+    const prevJ = prevI - prevK;
+    while (i > prevI && j > prevJ) ops.push({ op: " ", text: x[--i] }), j--;
+    if (d === 0) break;
+    if (i === prevI) ops.push({ op: "+", text: y[--j] });
+    else ops.push({ op: "-", text: x[--i] });
+  }
+  return [...head, ...ops.reverse(), ...tail];
+}
+
+/** Group a diff into unified-format hunks with DIFF_CONTEXT_LINES of context. */
+function buildHunks(ops) {
+  // Old/new line number at each position of the edit script
+  const pos = [];
+  let oldLine = 1;
+  let newLine = 1;
+  for (const { op } of ops) {
+    pos.push([oldLine, newLine]);
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+  }
+  pos.push([oldLine, newLine]);
+
+  const changes = [];
+  ops.forEach((o, i) => { if (o.op !== " ") changes.push(i); });
+
+  const hunks = [];
+  for (let g = 0; g < changes.length;) {
+    // Changes closer than two context windows share a hunk
+    let end = g;
+    while (end + 1 < changes.length && changes[end + 1] - changes[end] <= DIFF_CONTEXT_LINES * 2 + 1) end++;
+    const from = Math.max(0, changes[g] - DIFF_CONTEXT_LINES);
+    const to = Math.min(ops.length, changes[end] + DIFF_CONTEXT_LINES + 1);
+    const lines = ops.slice(from, to);
+    const oldCount = lines.filter((l) => l.op !== "+").length;
+    const newCount = lines.filter((l) => l.op !== "-").length;
+    hunks.push({
+      oldStart: oldCount === 0 ? pos[from][0] - 1 : pos[from][0],
+      newStart: newCount === 0 ? pos[from][1] - 1 : pos[from][1],
+      oldCount,
+      newCount,
+      lines,
+    });
+    g = end + 1;
+  }
+  return hunks;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.replace(/\r\n/g, "\n").split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/** Print a colored unified diff of a pending write. Returns { added, removed }. */
+function printDiff(displayPath, oldContent, newContent) {
+  const ops = diffLines(splitLines(oldContent), splitLines(newContent));
+  const added = ops.filter((o) => o.op === "+").length;
+  const removed = ops.filter((o) => o.op === "-").length;
+  const hunks = buildHunks(ops);
+
+  console.log(chalk.dim(`  --- ${oldContent === null ? "/dev/null" : `a/${displayPath}`}`));
+  console.log(chalk.dim(`  +++ b/${displayPath}`));
+  let printed = 0;
+  for (const h of hunks) {
+    if (printed >= MAX_DIFF_PREVIEW_LINES) break;
+    console.log(chalk.cyan(`  @@ -${h.oldStart},${h.oldCount} +${h.newStart},${h.newCount} @@`));
+    for (const l of h.lines) {
+      if (printed++ >= MAX_DIFF_PREVIEW_LINES) break;
+      if (l.op === "+") console.log(chalk.green(`  +${l.text}`));
+      else if (l.op === "-") console.log(chalk.red(`  -${l.text}`));
+      else console.log(chalk.dim(`   ${l.text}`));
+    }
+  }
+  const total = hunks.reduce((sum, h) => sum + h.lines.length, 0);
+  if (total > printed) console.log(chalk.dim(`  ... diff preview truncated (${total - printed} more lines)`));
+  if (hunks.length === 0) console.log(chalk.dim("  (no changes)"));
+  console.log(chalk.dim(`  ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`));
+  return { added, removed };
+}
+
+// ─── Shell Commands (live output, Ctrl+C, background jobs) ──────────────────
+
+const MAX_TOOL_TIMEOUT_MS = 600_000;
+// A background job's first output (or early exit) is reported with its start
+const JOB_STARTUP_WAIT_MS = 1_000;
+const JOB_RECENT_CHARS = 4_000;
+const KILL_GRACE_MS = 2_000;
+
+// id -> { id, command, proc, pid, status, exitCode, startedAt, endedAt, unread, recent }
+const jobs = new Map();
+let nextJobId = 1;
+
+/**
+ * Collects command output but only keeps the head and tail, so a noisy
+ * command can't exhaust memory. text() joins them with an omission marker.
+ */
+function createOutputBuffer(limit = MAX_TOOL_OUTPUT_CHARS) {
+  const half = Math.floor(limit / 2);
+  let head = "";
+  let tail = "";
+  let total = 0;
+  return {
+    push(chunk) {
+      total += chunk.length;
+      if (head.length < half) {
+        let take = half - head.length;
+        // Don't cut an emoji (surrogate pair) in half
+        if (/[\uD800-\uDBFF]/.test(chunk[take - 1] || "")) take--;
+        head += chunk.slice(0, take);
+        chunk = chunk.slice(take);
+      }
+      if (chunk) tail = (tail + chunk).slice(-half).replace(/^[\uDC00-\uDFFF]/, "");
+    },
+    text() {
+      const omitted = total - head.length - tail.length;
+      if (omitted <= 0) return head + tail;
+      return `${head}\n... [${omitted} chars omitted] ...\n${tail}`;
+    },
+    get length() {
+      return total;
+    },
+  };
+}
+
+function shellForCommands() {
+  return process.platform === "win32" ? "powershell.exe" : "/bin/sh";
+}
+
+/**
+ * Start a command. Foreground commands stay in the terminal's process group
+ * so sudo, ssh and credential prompts can read the terminal (and get Ctrl+C
+ * with Chalk). Background jobs get their own group, so a kill takes their
+ * children with it.
+ */
+function spawnCommand(command, background = false) {
+  const interactive = !background && !headless.enabled && process.stdin.isTTY;
+  const proc = spawn(command, {
+    shell: shellForCommands(),
+    cwd: process.cwd(),
+    stdio: [interactive ? "inherit" : "ignore", "pipe", "pipe"],
+    detached: background && process.platform !== "win32",
+    windowsHide: true,
+  });
+  proc.ownGroup = background && process.platform !== "win32";
+  proc.stdout.setEncoding("utf8");
+  proc.stderr.setEncoding("utf8");
+  return proc;
+}
+
+/** Stop a command and everything it started; SIGKILL if it ignores SIGTERM. */
+function killProcessTree(proc) {
+  if (!proc || proc.exitCode !== null || proc.signalCode !== null) return;
+  if (process.platform === "win32") {
+    spawnSync("taskkill", ["/pid", String(proc.pid), "/T", "/F"], { stdio: "ignore" });
+    return;
+  }
+  const signal = (sig) => {
+    try {
+      if (proc.ownGroup) process.kill(-proc.pid, sig);
+      else proc.kill(sig);
+    } catch {
+      try { proc.kill(sig); } catch { /* already gone */ }
+    }
+  };
+  signal("SIGTERM");
+  setTimeout(() => {
+    if (proc.exitCode === null && proc.signalCode === null) signal("SIGKILL");
+  }, KILL_GRACE_MS).unref();
+}
+
+/** Model-requested timeout in seconds -> ms, clamped to a sane range. */
+function commandTimeout(seconds) {
+  const ms = Number(seconds) * 1000;
+  if (!Number.isFinite(ms) || ms <= 0) return TOOL_TIMEOUT_MS;
+  return Math.min(ms, MAX_TOOL_TIMEOUT_MS);
+}
+
+/** Print output as it arrives, a line at a time, under the command. */
+function createLivePrinter() {
+  let partial = "";
+  return {
+    write(chunk) {
+      const lines = (partial + chunk).split(/\r?\n/);
+      partial = lines.pop();
+      for (const line of lines) console.log(chalk.dim(`  ${line}`));
+    },
+    flush() {
+      if (partial) console.log(chalk.dim(`  ${partial}`));
+      partial = "";
+    },
+  };
+}
+
+async function execToolRun(command, timeout, background) {
+  console.log(chalk.dim(`\n  $ ${command}`) + (background ? chalk.magenta("  [background]") : ""));
+  const permission = await requestPermission("Run", command, background ? "Run this command in the background?" : "Run this command?");
+  if (!permission.approved) return { output: permission.output, success: false };
+  return background ? startJob(command) : runForeground(command, commandTimeout(timeout));
+}
+
+/**
+ * Run a command to completion, streaming its output. Ctrl+C cancels only
+ * the command; the conversation carries on with whatever it printed.
+ */
+function runForeground(command, timeoutMs) {
+  return new Promise((resolve) => {
+    const output = createOutputBuffer();
+    const live = createLivePrinter();
+    let stopped = null;
+
+    let proc;
+    try {
+      proc = spawnCommand(command);
+    } catch (err) {
+      console.log(chalk.red(`  ${err.message}`));
+      resolve({ output: err.message, success: false });
+      return;
+    }
+
+    const onData = (text) => {
+      output.push(text);
+      live.write(text);
+    };
+    proc.stdout.on("data", onData);
+    proc.stderr.on("data", onData);
+
+    const onInterrupt = () => {
+      stopped = "cancelled by the user (Ctrl+C)";
+      killProcessTree(proc);
+    };
+    process.on("SIGINT", onInterrupt);
+    const timer = setTimeout(() => {
+      stopped = `timed out after ${Math.round(timeoutMs / 1000)}s`;
+      killProcessTree(proc);
+    }, timeoutMs);
+
+    let finished = false;
+    const done = (code, error) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      process.removeListener("SIGINT", onInterrupt);
+      live.flush();
+      const text = output.text().trim();
+      if (error) {
+        console.log(chalk.red(`  ${error.message}`));
+        resolve({ output: [text, error.message].filter(Boolean).join("\n"), success: false });
+      } else if (stopped) {
+        console.log(chalk.yellow(`  Command ${stopped}.`));
+        resolve({ output: `${text || "(no output)"}\n[command ${stopped}]`, success: false });
+      } else if (code !== 0) {
+        console.log(chalk.red(`  (exit code ${code})`));
+        resolve({ output: `${text || "(no output)"}\n[exit code ${code}]`, success: false });
+      } else {
+        if (!text) console.log(chalk.dim("  (completed, no output)"));
+        resolve({ output: text || "(completed, no output)", success: true });
+      }
+    };
+    proc.on("error", (err) => done(null, err));
+    proc.on("close", (code) => done(code, null));
+  });
+}
+
+/** Start a background job and report its first second of output. */
+async function startJob(command) {
+  let proc;
+  try {
+    proc = spawnCommand(command, true);
+  } catch (err) {
+    console.log(chalk.red(`  ${err.message}`));
+    return { output: err.message, success: false };
+  }
+  const job = {
+    id: nextJobId++, command, proc, pid: proc.pid, status: "running", exitCode: null,
+    startedAt: Date.now(), endedAt: null, unread: createOutputBuffer(), recent: "",
+  };
+  jobs.set(job.id, job);
+
+  const onData = (text) => {
+    job.unread.push(text);
+    job.recent = (job.recent + text).slice(-JOB_RECENT_CHARS);
+  };
+  proc.stdout.on("data", onData);
+  proc.stderr.on("data", onData);
+  const exited = new Promise((resolve) => {
+    proc.on("error", (err) => {
+      onData(`${err.message}\n`);
+      job.status = "failed";
+      job.endedAt = Date.now();
+      resolve();
+    });
+    proc.on("close", (code, signal) => {
+      if (job.status === "running") job.status = signal ? "killed" : "exited";
+      job.exitCode = code;
+      job.endedAt = Date.now();
+      resolve();
+    });
+  });
+
+  await Promise.race([exited, new Promise((resolve) => setTimeout(resolve, JOB_STARTUP_WAIT_MS))]);
+  const first = readJobOutput(job);
+  if (first) console.log(chalk.dim(`  ${first.split("\n").slice(-10).join("\n  ")}`));
+  const state = job.status === "running"
+    ? `Started background job ${job.id} (pid ${job.pid}). Read its output with tool_job_output and stop it with tool_job_kill.`
+    : `Background job ${job.id} already ${describeJobStatus(job)}.`;
+  console.log(chalk.magenta(`  ${state.split(". ")[0]}.`));
+  return {
+    output: `${state}${first ? `\nOutput so far:\n${first}` : ""}`,
+    success: job.status === "running" || job.exitCode === 0,
+  };
+}
+
+/** Output since the last read (head and tail kept), then start a fresh window. */
+function readJobOutput(job) {
+  const text = job.unread.text().trim();
+  job.unread = createOutputBuffer();
+  return text;
+}
+
+function describeJobStatus(job) {
+  if (job.status === "running") return `running for ${formatDuration(Date.now() - job.startedAt)}`;
+  if (job.status === "exited") return `exited with code ${job.exitCode}`;
+  return job.status === "killed" ? "stopped" : "failed to start";
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`;
+  return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+}
+
+function findJob(id) {
+  return jobs.get(Number(String(id ?? "").replace(/^[#%]/, ""))) || null;
+}
+
+function execToolJobOutput(jobId) {
+  const job = findJob(jobId);
+  if (!job) return { output: `No background job ${jobId}. Jobs: ${[...jobs.keys()].join(", ") || "none"}.`, success: false };
+  const text = readJobOutput(job);
+  console.log(chalk.dim(`\n  job ${job.id} output (${describeJobStatus(job)})`));
+  return {
+    output: `Job ${job.id} (${job.command}) is ${describeJobStatus(job)}.\n${text || "(no new output)"}`,
+    success: true,
+  };
+}
+
+function execToolJobKill(jobId) {
+  const job = findJob(jobId);
+  if (!job) return { output: `No background job ${jobId}.`, success: false };
+  if (job.status !== "running") return { output: `Job ${job.id} already ${describeJobStatus(job)}.`, success: true };
+  job.status = "killed";
+  killProcessTree(job.proc);
+  console.log(chalk.yellow(`\n  Stopped job ${job.id}: ${job.command}`));
+  return { output: `Stopped job ${job.id} (${job.command}).`, success: true };
+}
+
+function stopJobs() {
+  for (const job of jobs.values()) {
+    if (job.status === "running") killProcessTree(job.proc);
+  }
+}
+
+/** /jobs lists jobs, /jobs <id> shows recent output, /jobs kill <id> stops one. */
+function showJobs(arg = "") {
+  const [verb, id] = arg.trim().split(/\s+/);
+  if (verb === "kill") {
+    const job = findJob(id);
+    if (!job) console.log(chalk.yellow(`  No job ${id || ""}. See /jobs.`));
+    else if (job.status !== "running") console.log(chalk.dim(`  Job ${job.id} already ${describeJobStatus(job)}.`));
+    else execToolJobKill(job.id);
+    return;
+  }
+  if (verb) {
+    const job = findJob(verb);
+    if (!job) { console.log(chalk.yellow(`  No job ${verb}. See /jobs.`)); return; }
+    console.log("");
+    console.log(BAR + chalk.bold.cyan(`Job ${job.id}`) + chalk.dim(`  ${describeJobStatus(job)}`));
+    console.log(BAR_DIM + chalk.white(job.command));
+    console.log(DIVIDER);
+    const lines = job.recent.trimEnd().split("\n").slice(-30);
+    for (const line of lines) console.log(BAR_DIM + chalk.dim(line));
+    console.log(DIVIDER);
+    return;
+  }
+
+  console.log("");
+  console.log(BAR + chalk.bold.cyan("Background Jobs"));
+  console.log(DIVIDER);
+  if (jobs.size === 0) console.log(BAR_DIM + chalk.dim("No jobs. Chalk starts them when a command should keep running (dev servers, watchers)."));
+  for (const job of jobs.values()) {
+    const color = job.status === "running" ? chalk.green : chalk.dim;
+    console.log(BAR_DIM + chalk.white(String(job.id).padEnd(4)) + color(describeJobStatus(job).padEnd(24)) + job.command);
+  }
+  if (jobs.size > 0) console.log(BAR_DIM + chalk.dim("/jobs <id> shows recent output, /jobs kill <id> stops a job."));
+  console.log(DIVIDER);
+}
+
+// ─── Read-Only Tools (auto-approved) ────────────────────────────────────────
+
+const MAX_READ_LINES = 400;
+const MAX_RESULTS_PER_PAGE = 100;
+const MAX_TOOL_OUTPUT_CHARS = 20_000;
+const MAX_MATCH_LINE_CHARS = 300;
+const MAX_WALK_FILES = 50_000;
+
+function toPosix(p) {
+  return p.split(path.sep).join("/");
+}
+
+function isInsideProject(resolved) {
+  const rel = path.relative(process.cwd(), resolved);
+  return rel === "" || (!rel.startsWith("..") && !path.isAbsolute(rel));
+}
+
+/** Reads inside the project are free unless a Read rule denies them; anything outside still needs a yes. */
+async function confirmReadAccess(resolved) {
+  if (isInsideProject(resolved) && checkPermission("Read", resolved, headless.allowedRules).action !== "deny") return true;
+  const permission = await requestPermission("Read", resolved, `Allow reading outside the project (${resolved})?`);
+  return permission.approved;
+}
+
+/** Cap tool output so one call can't flood the context window. */
+function capOutput(text, hint) {
+  if (text.length <= MAX_TOOL_OUTPUT_CHARS) return text;
+  return text.slice(0, MAX_TOOL_OUTPUT_CHARS) + `\n... [output capped at ${MAX_TOOL_OUTPUT_CHARS} chars${hint ? `; ${hint}` : ""}]`;
+}
+
+function isBinaryFile(file) {
+  let fd;
+  try {
+    fd = fs.openSync(file, "r");
+    const buf = Buffer.alloc(8000);
+    const n = fs.readSync(fd, buf, 0, buf.length, 0);
+    return buf.subarray(0, n).includes(0);
+  } catch {
+    return false;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+function globToRegExpSource(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === "*") {
+      if (glob[i + 1] === "*") {
+        // "**/" matches zero or more directories
+        if (glob[i + 2] === "/") { re += "(?:.*/)?"; i += 2; } else { re += ".*"; i += 1; }
+      } else {
+        re += "[^/]*";
+      }
+    } else if (c === "?") {
+      re += "[^/]";
+    } else if (c === "{" && glob.indexOf("}", i) > i) {
+      const end = glob.indexOf("}", i);
+      re += "(?:" + glob.slice(i + 1, end).split(",").map(globToRegExpSource).join("|") + ")";
+      i = end;
+    } else if (c === "[" && glob.indexOf("]", i) > i) {
+      const end = glob.indexOf("]", i);
+      re += glob.slice(i, end + 1).replace(/^\[!/, "[^");
+      i = end;
+    } else {
+      re += c.replace(/[.+^${}()|\\[\]]/g, "\\$&");
+    }
+  }
+  return re;
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${globToRegExpSource(glob)}$`);
+}
+
+/** Parse one .gitignore into rules relative to the directory that holds it. */
+function parseGitignore(dirAbs, base) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(dirAbs, ".gitignore"), "utf-8");
+  } catch {
+    return null;
+  }
+  const rules = [];
+  for (let line of text.split(/\r?\n/)) {
+    line = line.trim();
+    if (!line || line.startsWith("#")) continue;
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    const dirOnly = line.endsWith("/");
+    line = line.replace(/\/+$/, "");
+    // A slash anywhere but the end anchors the pattern to this directory
+    const anchored = line.includes("/");
+    line = line.replace(/^\//, "");
+    if (!line) continue;
+    rules.push({ re: globToRegExp(anchored ? line : `**/${line}`), negate, dirOnly });
+  }
+  return rules.length > 0 ? { base, rules } : null;
+}
+
+function isGitignored(rel, isDir, ruleSets) {
+  let ignored = false;
+  for (const set of ruleSets) {
+    if (set.base && !rel.startsWith(set.base + "/")) continue;
+    const sub = set.base ? rel.slice(set.base.length + 1) : rel;
+    for (const rule of set.rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.re.test(sub)) ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * List files under `root` (absolute), skipping IGNORED_DIRS, dot-directories
+ * and anything .gitignore excludes. Paths come back relative to cwd, with
+ * forward slashes, in a stable sorted order.
+ */
+function walkProjectFiles(root) {
+  const cwd = process.cwd();
+  const ruleSets = [];
+  // .gitignore files between the project root and the search root apply too
+  if (isInsideProject(root)) {
+    let dir = cwd;
+    for (const part of ["", ...toPosix(path.relative(cwd, root)).split("/").filter(Boolean)]) {
+      dir = part ? path.join(dir, part) : dir;
+      const set = parseGitignore(dir, toPosix(path.relative(cwd, dir)));
+      if (set) ruleSets.push(set);
+    }
+  }
+
+  const files = [];
+  const walk = (dirAbs, sets) => {
+    if (files.length >= MAX_WALK_FILES) return;
+    let entries;
+    try {
+      entries = fs.readdirSync(dirAbs, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      if (IGNORED_DIRS.has(entry.name)) continue;
+      const abs = path.join(dirAbs, entry.name);
+      const rel = toPosix(path.relative(cwd, abs));
+      const isDir = entry.isDirectory();
+      if (isDir && entry.name.startsWith(".")) continue;
+      if (isGitignored(rel, isDir, sets)) continue;
+      if (isDir) {
+        const own = parseGitignore(abs, rel);
+        walk(abs, own ? [...sets, own] : sets);
+      } else if (entry.isFile()) {
+        files.push(rel);
+        if (files.length >= MAX_WALK_FILES) return;
+      }
+    }
+  };
+  walk(root, ruleSets);
+  return files;
+}
+
+function pageFooter(shown, offset, hasMore, noun) {
+  if (!hasMore) return "";
+  return `\n[showing ${noun} ${offset + 1}-${offset + shown}; call again with offset=${offset + shown} for more]`;
+}
+
+async function execToolRead(filepath, startLine, endLine) {
+  const resolved = path.resolve(filepath || ".");
+  if (!(await confirmReadAccess(resolved))) return { output: "User denied read access.", success: false };
+  if (!fs.existsSync(resolved)) return { output: `File not found: ${filepath}`, success: false };
+  if (fs.statSync(resolved).isDirectory()) return { output: `${filepath} is a directory; use tool_ls.`, success: false };
+  if (isBinaryFile(resolved)) return { output: `${filepath} looks like a binary file; not shown.`, success: false };
+
+  const lines = fs.readFileSync(resolved, "utf-8").split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  if (lines.length === 0) return { output: `${filepath} is empty.`, success: true };
+  const start = Math.max(1, parseInt(startLine, 10) || 1);
+  const requestedEnd = parseInt(endLine, 10) || start + MAX_READ_LINES - 1;
+  const end = Math.min(lines.length, requestedEnd, start + MAX_READ_LINES - 1);
+  if (start > lines.length) {
+    return { output: `${filepath} has only ${lines.length} lines.`, success: false };
+  }
+
+  const width = String(end).length;
+  const body = lines.slice(start - 1, end).map((l, i) => `${String(start + i).padStart(width)}\t${l}`).join("\n");
+  const more = end < lines.length ? `\n[lines ${start}-${end} of ${lines.length}; call tool_read with start_line=${end + 1} for more]` : "";
+  console.log(chalk.dim(`\n  read ${path.relative(process.cwd(), resolved) || resolved} (lines ${start}-${end} of ${lines.length})`));
+  return { output: capOutput(body, `use a narrower line range`) + more, success: true };
+}
+
+async function execToolGrep(pattern, searchPath, fileGlob, ignoreCase, offset) {
+  let re;
+  try {
+    re = new RegExp(pattern, ignoreCase ? "i" : "");
+  } catch (err) {
+    return { output: `Invalid regex: ${err.message}`, success: false };
+  }
+  const resolved = path.resolve(searchPath || ".");
+  if (!(await confirmReadAccess(resolved))) return { output: "User denied read access.", success: false };
+  if (!fs.existsSync(resolved)) return { output: `Path not found: ${searchPath}`, success: false };
+
+  const files = fs.statSync(resolved).isDirectory()
+    ? walkProjectFiles(resolved)
+    : [toPosix(path.relative(process.cwd(), resolved))];
+  const globRe = fileGlob ? globToRegExp(fileGlob.includes("/") ? fileGlob : `**/${fileGlob}`) : null;
+
+  const skip = Math.max(0, parseInt(offset, 10) || 0);
+  const matches = [];
+  let seen = 0;
+  let hasMore = false;
+  outer: for (const rel of files) {
+    if (globRe && !globRe.test(rel)) continue;
+    const abs = path.resolve(rel);
+    if (isBinaryFile(abs)) continue;
+    let text;
+    try {
+      text = fs.readFileSync(abs, "utf-8");
+    } catch {
+      continue;
+    }
+    const lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+      if (!re.test(lines[i])) continue;
+      if (seen++ < skip) continue;
+      if (matches.length === MAX_RESULTS_PER_PAGE) { hasMore = true; break outer; }
+      const line = lines[i].length > MAX_MATCH_LINE_CHARS ? lines[i].slice(0, MAX_MATCH_LINE_CHARS) + "..." : lines[i];
+      matches.push(`${rel}:${i + 1}: ${line}`);
+    }
+  }
+
+  console.log(chalk.dim(`\n  grep /${pattern}/${fileGlob ? ` in ${fileGlob}` : ""} (${matches.length}${hasMore ? "+" : ""} matches)`));
+  if (matches.length === 0) return { output: skip ? "No more matches." : "No matches found.", success: true };
+  return { output: capOutput(matches.join("\n"), "narrow the pattern or glob") + pageFooter(matches.length, skip, hasMore, "matches"), success: true };
+}
+
+async function execToolGlob(pattern, basePath, offset) {
+  const resolved = path.resolve(basePath || ".");
+  if (!(await confirmReadAccess(resolved))) return { output: "User denied read access.", success: false };
+  if (!fs.existsSync(resolved)) return { output: `Path not found: ${basePath}`, success: false };
+
+  const prefix = toPosix(path.relative(process.cwd(), resolved));
+  const re = globToRegExp(pattern);
+  const all = walkProjectFiles(resolved).filter((rel) => re.test(prefix ? rel.slice(prefix.length + 1) : rel));
+  const skip = Math.max(0, parseInt(offset, 10) || 0);
+  const page = all.slice(skip, skip + MAX_RESULTS_PER_PAGE * 2);
+
+  console.log(chalk.dim(`\n  glob ${pattern} (${all.length} files)`));
+  if (page.length === 0) return { output: "No files matched.", success: true };
+  return {
+    output: `${all.length} files matched\n${page.join("\n")}` + pageFooter(page.length, skip, skip + page.length < all.length, "files"),
+    success: true,
+  };
+}
+
+async function execToolLs(dirPath, offset) {
+  const resolved = path.resolve(dirPath || ".");
+  if (!(await confirmReadAccess(resolved))) return { output: "User denied read access.", success: false };
+  let entries;
+  try {
+    entries = fs.readdirSync(resolved, { withFileTypes: true });
+  } catch (err) {
+    return { output: `Cannot list ${dirPath || "."}: ${err.message}`, success: false };
+  }
+  entries.sort((a, b) => {
+    if (a.isDirectory() !== b.isDirectory()) return a.isDirectory() ? -1 : 1;
+    return a.name.localeCompare(b.name);
+  });
+
+  const lines = entries.map((e) => {
+    if (e.isDirectory()) return `${e.name}/${IGNORED_DIRS.has(e.name) ? "  (ignored)" : ""}`;
+    let size = "";
+    try { size = `  ${fs.statSync(path.join(resolved, e.name)).size} B`; } catch { /* skip */ }
+    return e.name + size;
+  });
+  const skip = Math.max(0, parseInt(offset, 10) || 0);
+  const page = lines.slice(skip, skip + MAX_RESULTS_PER_PAGE * 2);
+
+  console.log(chalk.dim(`\n  ls ${path.relative(process.cwd(), resolved) || "."} (${entries.length} entries)`));
+  if (page.length === 0) return { output: "(empty directory)", success: true };
+  return { output: page.join("\n") + pageFooter(page.length, skip, skip + page.length < lines.length, "entries"), success: true };
+}
+
+/**
+ * Run a tool call between its PreToolUse and PostToolUse hooks. A Pre hook
+ * can block the call or rewrite its arguments; hook output is appended to
+ * the result the model sees.
+ */
+async function dispatchTool(name, args, config) {
+  const pre = runHooks("PreToolUse", { tool: name, input: args }, name);
+  if (pre.blocked) return { output: `Blocked by a PreToolUse hook: ${pre.reason}`, success: false };
+  if (pre.input) args = pre.input;
+
+  const result = await runTool(name, args, config);
+  const post = runHooks("PostToolUse", { tool: name, input: args, output: result.output, success: result.success }, name);
+  const notes = [...pre.context, ...post.context].map((c) => `[hook] ${c}`);
+  if (post.blocked) notes.push(`[PostToolUse hook] ${post.reason}`);
+  if (notes.length === 0) return result;
+  return { ...result, output: `${result.output}\n${notes.join("\n")}`, success: result.success && !post.blocked };
+}
+
+async function runTool(name, args, config) {
+  switch (name) {
+    case "tool_run":
+      return execToolRun(args.command, args.timeout, args.background);
+    case "tool_job_output":
+      return execToolJobOutput(args.job_id);
+    case "tool_job_kill":
+      return execToolJobKill(args.job_id);
+    case "tool_edit":
+      return execToolEdit(args.filepath, args.content);
+    case "tool_patch":
+      return execToolPatch(args.filepath, args.old_string, args.new_string, args.replace_all);
+    case "tool_read":
+      return execToolRead(args.filepath, args.start_line, args.end_line);
+    case "tool_grep":
+      return execToolGrep(args.pattern, args.path, args.glob, args.ignore_case, args.offset);
+    case "tool_glob":
+      return execToolGlob(args.pattern, args.path, args.offset);
+    case "tool_ls":
+      return execToolLs(args.path, args.offset);
+    case "tool_task":
+      return execToolTask(args.agent, args.task, config);
+    default:
+      if (name.startsWith(MCP_PREFIX)) return execMcpTool(name, args);
+      return { output: `Unknown tool: ${name}`, success: false };
+  }
+}
+
+// ─── Slash Command UI (inquirer-autocomplete-prompt) ────────────────────────
+
+const SLASH_COMMANDS = [
+  { name: "/help",    description: "Show available commands and usage" },
+  { name: "/clear",   description: "Clear the terminal screen" },
+  { name: "/agents",  description: "Show system status and health" },
+  { name: "/agent",   description: "Talk to a custom agent (/agent <name>, /agent off)" },
+  { name: "/permissions", description: "View and edit allow/deny rules for tools" },
+  { name: "/hooks",   description: "List hooks configured in settings.json" },
+  { name: "/mcp",     description: "Show MCP servers and their tools (/mcp restart)" },
+  { name: "/jobs",    description: "List background jobs (/jobs <id>, /jobs kill <id>)" },
+  { name: "/config",  description: "Show configuration and paths" },
+  { name: "/model",   description: "Switch the AI model (/model <id>)" },
+  { name: "/tree",    description: "Show project file tree" },
+  { name: "/init",    description: "Analyze the project and write a starter CHALK.md" },
+  { name: "/memory",  description: "Edit CHALK.md memory files (project or personal)" },
+  { name: "/cost",    description: "Show token usage this session" },
+  { name: "/compact", description: "Summarize older messages to free context (/compact [focus])" },
+  { name: "/new",     description: "Start a new conversation" },
+  { name: "/undo",    description: "Revert the last file change Chalk made" },
+  { name: "/rewind",  description: "Go back to an earlier prompt (files and conversation)" },
+  { name: "/changes", description: "List files Chalk changed this session" },
+  { name: "/sessions", description: "List saved conversations for this project" },
+  { name: "/resume",  description: "Resume a saved conversation (/resume <id>)" },
+  { name: "/exit",    description: "Exit Chalk" },
+];
+
+async function showSlashMenu() {
+  return new Promise((resolve) => {
+    let filter = "";
+    let selected = 0;
+    const commands = allSlashCommands();
+    let filtered = [...commands];
+
+    if (!process.stdin.isTTY) { resolve(null); return; }
+
+    const wasRaw = process.stdin.isRaw;
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    function render(clear) {
+      if (clear) {
+        // Move up and clear previous render
+        const lines = filtered.length + 2;
+        process.stdout.write(`\x1b[${lines}A\x1b[J`);
+      }
+      process.stdout.write(`  ${chalk.dim("/")}${chalk.cyan(filter)}\n\n`);
+      if (filtered.length === 0) {
+        process.stdout.write(chalk.dim("  No matching commands\n"));
+      } else {
+        for (let i = 0; i < filtered.length; i++) {
+          const c = filtered[i];
+          const name = c.name.padEnd(14);
+          if (i === selected) {
+            process.stdout.write(`  ${chalk.cyan.bold(name)} ${chalk.white(c.description)}\n`);
+          } else {
+            process.stdout.write(`  ${chalk.dim(name)} ${chalk.dim(c.description)}\n`);
+          }
+        }
+      }
+    }
+
+    function cleanup() {
+      process.stdin.removeListener("data", onKey);
+      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
+      // Clear menu
+      const lines = filtered.length + 2;
+      process.stdout.write(`\x1b[${lines}A\x1b[J`);
+    }
+
+    function updateFilter() {
+      const term = filter.toLowerCase();
+      filtered = commands.filter(
+        (c) => c.name.slice(1).includes(term) || c.description.toLowerCase().includes(term)
+      );
+      selected = 0;
+    }
+
+    function onKey(data) {
+      const code = data[0];
+
+      // Escape or Ctrl+C -> cancel
+      if ((code === 27 && data.length === 1) || code === 3) {
+        cleanup();
+        resolve(null);
+        return;
+      }
+
+      // Enter -> select
+      if (code === 13) {
+        const choice = filtered[selected] || null;
+        cleanup();
+        resolve(choice ? choice.name : null);
+        return;
+      }
+
+      // Backspace
+      if (code === 127 || code === 8) {
+        if (filter.length > 0) {
+          filter = filter.slice(0, -1);
+          updateFilter();
+          render(true);
+        } else {
+          cleanup();
+          resolve(null);
+        }
+        return;
+      }
+
+      // Arrow keys
+      if (code === 27 && data.length >= 3) {
+        if (data[2] === 65) selected = Math.max(0, selected - 1);           // Up
+        if (data[2] === 66) selected = Math.min(filtered.length - 1, selected + 1); // Down
+        render(true);
+        return;
+      }
+
+      // Printable char
+      if (code >= 32 && code < 127) {
+        filter += data.toString();
+        updateFilter();
+        render(true);
+        return;
+      }
+    }
+
+    render(false);
+    process.stdin.on("data", onKey);
+  });
+}
+
+// ─── Custom Slash Commands (.chalk/commands/*.md) ───────────────────────────
+
+const COMMANDS_DIR_PROJECT = path.join(process.cwd(), ".chalk", "commands");
+const COMMANDS_DIR_PERSONAL = path.join(CHALK_HOME, "commands");
+
+/** "---\nkey: value\n---\nbody" -> { meta, body }. Values may be quoted or a [a, b] list. */
+function parseFrontmatter(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+    if (!kv) continue;
+    let value = kv[2].trim();
+    if (/^\[.*\]$/.test(value)) {
+      value = value.slice(1, -1).split(",").map((v) => v.trim().replace(/^["']|["']$/g, "")).filter(Boolean);
+    } else {
+      value = value.replace(/^(["'])(.*)\1$/, "$2");
+    }
+    meta[kv[1].toLowerCase()] = value;
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+const warnedCommandTools = new Set();
+
+/**
+ * "allowed-tools" as tool names. Unknown names (a permission rule like
+ * Run(git diff*) is the usual mistake) are dropped with a warning, once.
+ */
+function commandToolList(value, file) {
+  if (!value) return null;
+  const list = (Array.isArray(value) ? value : String(value).split(",")).map((t) => String(t).trim()).filter(Boolean);
+  if (list.length === 0) return null;
+  const known = new Set(toolNames());
+  const unknown = list.filter((t) => !known.has(t) && !t.startsWith(MCP_PREFIX));
+  if (unknown.length && !warnedCommandTools.has(file)) {
+    warnedCommandTools.add(file);
+    console.log(chalk.yellow(`  [warn] ${relPath(file)}: unknown allowed-tools ${unknown.join(", ")} (use names like tool_read, tool_run)`));
+  }
+  return expandToolNames(list.filter((t) => !unknown.includes(t)));
+}
+
+/** Tools for a turn: a command can narrow an agent's tools, never widen them. */
+function commandTurnTools(command, agent) {
+  const agentTools = agentToolNames(agent);
+  if (!command?.tools) return agentTools;
+  return agentTools ? command.tools.filter((t) => agentTools.includes(t)) : command.tools;
+}
+
+/**
+ * Commands from project then personal .md files; a project command shadows
+ * a personal one with the same name, and built-ins shadow both.
+ */
+function loadCustomCommands() {
+  const builtins = new Set(SLASH_COMMANDS.map((c) => c.name));
+  const commands = new Map();
+  for (const [scope, dir] of [["project", COMMANDS_DIR_PROJECT], ["personal", COMMANDS_DIR_PERSONAL]]) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort();
+    } catch { continue; }
+    for (const file of files) {
+      const name = "/" + kebabCase(file.slice(0, -3));
+      if (name === "/" || builtins.has(name) || commands.has(name)) continue;
+      let text;
+      try {
+        text = fs.readFileSync(path.join(dir, file), "utf-8");
+      } catch { continue; }
+      const { meta, body } = parseFrontmatter(text);
+      const firstLine = body.trim().split("\n")[0].replace(/^#+\s*/, "");
+      commands.set(name, {
+        name,
+        description: meta.description || firstLine.slice(0, 60) || "(no description)",
+        argumentHint: meta["argument-hint"] || "",
+        tools: commandToolList(meta["allowed-tools"], path.join(dir, file)),
+        model: meta.model && meta.model !== "inherit" ? meta.model : null,
+        body: body.trim(),
+        scope,
+        file: path.join(dir, file),
+      });
+    }
+  }
+  return [...commands.values()];
+}
+
+/** Built-ins followed by custom commands; custom descriptions carry their scope. */
+function allSlashCommands() {
+  const custom = loadCustomCommands().map((c) => ({ ...c, description: `${c.description} (${c.scope})` }));
+  return [...SLASH_COMMANDS, ...custom];
+}
+
+/** Split arguments like a shell would for $1, $2: whitespace-separated, quotes group. */
+function splitArguments(text) {
+  const args = [];
+  const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let m;
+  while ((m = re.exec(text))) args.push(m[1] ?? m[2] ?? m[3]);
+  return args;
+}
+
+function commandTakesArguments(command) {
+  return /\$(ARGUMENTS|\d)/.test(command.body);
+}
+
+/**
+ * The prompt a custom command sends: $ARGUMENTS becomes the whole argument
+ * string and $1..$9 single arguments. Arguments with no placeholder to land
+ * in are appended so they're never silently dropped.
+ */
+function expandCustomCommand(command, arg = "") {
+  const args = splitArguments(arg);
+  // One pass with a function replacer, so "$1" or "$&" inside the arguments stays literal
+  const prompt = command.body.replace(/\$(ARGUMENTS\b|\d)/g, (_, name) =>
+    name === "ARGUMENTS" ? arg.trim() : args[Number(name) - 1] ?? "");
+  if (arg.trim() && !commandTakesArguments(command)) return `${prompt}\n\n${arg.trim()}`;
+  return prompt;
+}
+
+/** "/review src/a.js" -> { command, prompt } when it names a custom command, else null. */
+function resolveCustomCommand(text) {
+  const m = /^(\/[\w-]+)(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!m || SLASH_COMMANDS.some((c) => c.name === m[1])) return null;
+  const command = loadCustomCommands().find((c) => c.name === m[1]);
+  return command ? { command, prompt: expandCustomCommand(command, m[2] || "") } : null;
+}
+
+// ─── Panel UI (Chalk's own design: sidebar accent, step indicators) ─────────
+
+const BAR = chalk.cyan("  ::  ");
+const BAR_DIM = chalk.dim("  ::  ");
+const DIVIDER = chalk.dim("  ::  " + "~".repeat(58));
+
+/**
+ * Raw-mode list picker with Chalk's sidebar style.
+ * Returns selected index or -1 on Esc.
+ */
+function panelSelect(heading, hint, items, step) {
+  return new Promise((resolve) => {
+    let sel = 0;
+
+    if (!process.stdin.isTTY) { resolve(0); return; }
+    const wasRaw = process.stdin.isRaw;
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    function render(clear) {
+      const lines = items.length + 5 + (step ? 1 : 0);
+      if (clear) process.stdout.write(`\x1b[${lines}A\x1b[J`);
+
+      if (step) console.log(BAR_DIM + chalk.dim(`step ${step}`));
+      console.log(BAR + chalk.bold.white(heading));
+      console.log(BAR_DIM + chalk.dim(hint));
+      console.log(DIVIDER);
+      for (let i = 0; i < items.length; i++) {
+        if (i === sel) {
+          console.log(BAR + chalk.cyan(">> ") + chalk.white.bold(items[i]));
+        } else {
+          console.log(BAR_DIM + chalk.dim("   " + items[i]));
+        }
+      }
+      console.log(DIVIDER);
+      console.log(chalk.dim("      arrows move  |  enter picks  |  esc backs out"));
+    }
+
+    function cleanup() {
+      process.stdin.removeListener("data", onKey);
+      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
+    }
+
+    function onKey(data) {
+      const code = data[0];
+      if ((code === 27 && data.length === 1) || code === 3) { cleanup(); resolve(-1); return; }
+      if (code === 13) { cleanup(); resolve(sel); return; }
+      if (code === 27 && data.length >= 3) {
+        if (data[2] === 65) sel = Math.max(0, sel - 1);
+        if (data[2] === 66) sel = Math.min(items.length - 1, sel + 1);
+        render(true);
+      }
+    }
+
+    render(false);
+    process.stdin.on("data", onKey);
+  });
+}
+
+/**
+ * Raw-mode text input with sidebar style.
+ * Returns string or null on Esc.
+ */
+function panelInput(heading, hint, placeholder, step) {
+  return new Promise((resolve) => {
+    let buf = "";
+
+    if (!process.stdin.isTTY) { resolve(null); return; }
+    const wasRaw = process.stdin.isRaw;
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    function render(clear) {
+      const lines = 6 + (step ? 1 : 0);
+      if (clear) process.stdout.write(`\x1b[${lines}A\x1b[J`);
+
+      if (step) console.log(BAR_DIM + chalk.dim(`step ${step}`));
+      console.log(BAR + chalk.bold.white(heading));
+      console.log(BAR_DIM + chalk.dim(hint));
+      console.log(DIVIDER);
+      console.log(BAR + (buf ? chalk.white(buf) : chalk.dim(placeholder || "type here...")));
+      console.log(DIVIDER);
+      console.log(chalk.dim("      enter submits  |  esc backs out"));
+    }
+
+    function cleanup() {
+      process.stdin.removeListener("data", onKey);
+      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
+    }
+
+    function onKey(data) {
+      const code = data[0];
+      if ((code === 27 && data.length === 1) || code === 3) { cleanup(); resolve(null); return; }
+      if (code === 13) { cleanup(); resolve(buf); return; }
+      if (code === 127 || code === 8) { if (buf.length > 0) { buf = buf.slice(0, -1); render(true); } return; }
+      if (code >= 32 && code < 127) { buf += data.toString(); render(true); }
+    }
+
+    render(false);
+    process.stdin.on("data", onKey);
+  });
+}
+
+/**
+ * Raw-mode checkbox list with sidebar style. Space toggles.
+ * Returns the checked indices, or null on Esc.
+ */
+function panelMultiSelect(heading, hint, items, checkedIdx, step) {
+  return new Promise((resolve) => {
+    let sel = 0;
+    const checked = new Set(checkedIdx);
+
+    if (!process.stdin.isTTY) { resolve([...checked].sort()); return; }
+    const wasRaw = process.stdin.isRaw;
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    function render(clear) {
+      const lines = items.length + 5 + (step ? 1 : 0);
+      if (clear) process.stdout.write(`\x1b[${lines}A\x1b[J`);
+
+      if (step) console.log(BAR_DIM + chalk.dim(`step ${step}`));
+      console.log(BAR + chalk.bold.white(heading));
+      console.log(BAR_DIM + chalk.dim(hint));
+      console.log(DIVIDER);
+      for (let i = 0; i < items.length; i++) {
+        const box = checked.has(i) ? chalk.green("[x] ") : chalk.dim("[ ] ");
+        if (i === sel) {
+          console.log(BAR + chalk.cyan(">> ") + box + chalk.white.bold(items[i]));
+        } else {
+          console.log(BAR_DIM + "   " + box + chalk.dim(items[i]));
+        }
+      }
+      console.log(DIVIDER);
+      console.log(chalk.dim("      arrows move  |  space toggles  |  enter confirms  |  esc backs out"));
+    }
+
+    function cleanup() {
+      process.stdin.removeListener("data", onKey);
+      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
+    }
+
+    function onKey(data) {
+      const code = data[0];
+      if ((code === 27 && data.length === 1) || code === 3) { cleanup(); resolve(null); return; }
+      if (code === 13) { cleanup(); resolve([...checked].sort((a, b) => a - b)); return; }
+      if (code === 32) {
+        if (checked.has(sel)) checked.delete(sel); else checked.add(sel);
+        render(true);
+        return;
+      }
+      if (code === 27 && data.length >= 3) {
+        if (data[2] === 65) sel = Math.max(0, sel - 1);
+        if (data[2] === 66) sel = Math.min(items.length - 1, sel + 1);
+        render(true);
+      }
+    }
+
+    render(false);
+    process.stdin.on("data", onKey);
+  });
+}
+
+/**
+ * Open text in $VISUAL / $EDITOR and return what was saved.
+ * Returns null when there's no terminal or the editor fails.
+ */
+function editInEditor(initial, ext = ".md") {
+  if (!process.stdin.isTTY) return null;
+  const file = path.join(os.tmpdir(), `chalk-edit-${process.pid}-${Date.now()}${ext}`);
+  const editor = process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+  try {
+    fs.writeFileSync(file, initial, "utf-8");
+    const res = spawnSync(`${editor} "${file}"`, { stdio: "inherit", shell: true });
+    if (res.status !== 0) return null;
+    return fs.readFileSync(file, "utf-8");
+  } catch {
+    return null;
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+// ─── Agents System ──────────────────────────────────────────────────────────
+
+const AGENTS_DIR_PROJECT = path.join(process.cwd(), ".chalk", "agents");
+const AGENTS_DIR_PERSONAL = path.join(CHALK_HOME, "agents");
+
+const READ_ONLY_TOOLS = ["tool_read", "tool_grep", "tool_glob", "tool_ls"];
+
+// Sub-agents for tool_task; custom agents with the same name take precedence
+const BUILTIN_AGENTS = [
+  {
+    name: "Explorer", tag: "core", desc: "Searches the codebase and reports what it found",
+    tools: READ_ONLY_TOOLS,
+    systemPrompt: "You explore codebases. Search broadly, read what matters, and report the relevant files, " +
+      "symbols and line numbers. Quote only the lines that answer the question.",
+  },
+  {
+    name: "Tool Runner", tag: "core", desc: "Executes shell commands in the user's terminal",
+    tools: ["tool_run", "tool_job_output", "tool_job_kill", ...READ_ONLY_TOOLS],
+    systemPrompt: "You run shell commands (builds, tests, installs, scripts) and report the outcome. " +
+      "Summarize long output: what passed, what failed, and the exact error lines.",
+  },
+  {
+    name: "File Editor", tag: "core", desc: "Creates and modifies files in the workspace",
+    tools: ["tool_edit", "tool_patch", ...READ_ONLY_TOOLS],
+    systemPrompt: "You make the file changes you're asked for. Read before you edit, prefer tool_patch " +
+      "for existing files, and list every file you changed with a one-line summary each.",
+  },
+  {
+    name: "Code Reviewer", tag: "quality", desc: "Analyzes code for bugs, style, and best practices",
+    tools: READ_ONLY_TOOLS,
+    systemPrompt: "You review code for bugs, edge cases, readability and maintainability. Report concrete " +
+      "findings as file:line with a short explanation and a suggested fix, most serious first.",
+  },
+  {
+    name: "Security Auditor", tag: "quality", desc: "Scans for vulnerabilities and insecure patterns",
+    tools: READ_ONLY_TOOLS,
+    systemPrompt: "You audit code for security problems: injection, unsafe deserialization, path traversal, " +
+      "secrets in source, weak crypto, missing auth checks. Report each finding as file:line with severity and a fix.",
+  },
+  {
+    name: "Architect", tag: "design", desc: "Plans project structure and technical decisions",
+    tools: READ_ONLY_TOOLS,
+    systemPrompt: "You plan changes. Study the existing structure, then propose a step-by-step plan naming the " +
+      "files to touch, the trade-offs, and the risks. Don't write the code.",
+  },
+];
+
+const AGENT_STRING_FIELDS = ["description", "systemPrompt", "model", "createdAt", "updatedAt"];
+
+/** Problems with an agent definition as readable messages; empty when it's valid. */
+function validateAgent(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["must be a JSON object"];
+  const errors = [];
+  if (typeof data.name !== "string" || !agentSlug(data.name)) errors.push('"name" must contain letters or digits');
+  for (const key of AGENT_STRING_FIELDS) {
+    if (data[key] !== undefined && typeof data[key] !== "string") errors.push(`"${key}" must be a string`);
+  }
+  const text = (v) => (typeof v === "string" ? v.trim() : "");
+  if (!text(data.description) && !text(data.systemPrompt)) errors.push('needs a "description" or a "systemPrompt"');
+  if (data.tools !== undefined) {
+    if (!Array.isArray(data.tools) || data.tools.some((t) => typeof t !== "string")) {
+      errors.push('"tools" must be an array of tool names');
+    } else {
+      const known = new Set(toolNames());
+      // MCP tools are only known while their server runs, so trust the prefix
+      const unknown = data.tools.filter((t) => !known.has(t) && !t.startsWith(MCP_PREFIX));
+      if (unknown.length) errors.push(`unknown tools: ${unknown.join(", ")}`);
+    }
+  }
+  return errors;
+}
+
+/** Read every agent file. Broken ones come back in `invalid` with their errors. */
+function scanAgentFiles() {
+  const agents = [];
+  const invalid = [];
+  for (const location of ["project", "personal"]) {
+    const dir = agentsDir(location);
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort();
+    } catch { continue; }
+    for (const name of files) {
+      const file = path.join(dir, name);
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, "utf-8"));
+      } catch (err) {
+        invalid.push({ file, location, errors: [`not valid JSON (${err.message})`] });
+        continue;
+      }
+      const errors = validateAgent(data);
+      if (errors.length) invalid.push({ file, location, errors });
+      else agents.push({ ...data, location, file });
+    }
+  }
+  return { agents, invalid };
+}
+
+function loadCustomAgents() {
+  return scanAgentFiles().agents;
+}
+
+function agentsDir(location) {
+  return location === "project" ? AGENTS_DIR_PROJECT : AGENTS_DIR_PERSONAL;
+}
+
+function agentFilePath(name, location) {
+  return path.join(agentsDir(location), agentSlug(name) + ".json");
+}
+
+/** Write an agent definition and return its path. Runtime fields (location, file) stay out of the JSON. */
+function saveAgent(agent, location) {
+  const dir = agentsDir(location);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const { location: _location, file: _file, ...data } = agent;
+  const file = agentFilePath(agent.name, location);
+  if (!agentSlug(agent.name) || path.dirname(file) !== dir) throw new Error(`Invalid agent name: ${agent.name}`);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2), "utf-8");
+  return file;
+}
+
+// ─── Running Custom Agents (@name, /agent) ──────────────────────────────────
+
+/** Display name -> file-safe slug: [a-z0-9-] only, so it can never leave the agents folder. */
+function agentSlug(name) {
+  return String(name || "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^a-z0-9-]/g, "")
+    .replace(/-{2,}/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/** Look up a custom agent by slug or display name; project agents win. */
+function findAgent(name) {
+  const slug = agentSlug(name);
+  return loadCustomAgents().find((a) => agentSlug(a.name) === slug) || null;
+}
+
+/** "@perf-reviewer check src/" -> { agent, text }. No mention -> agent is null. */
+function resolveAgentMention(text) {
+  const m = /^@([\w.-]+)(?:\s+([\s\S]*))?$/.exec(text.trim());
+  if (!m) return { agent: null, text, name: null };
+  const agent = findAgent(m[1]);
+  return { agent, text: agent ? (m[2] || "").trim() : text, name: m[1] };
+}
+
+/**
+ * A tool allow-list with the tools that came later added to it: whoever may
+ * tool_edit may also patch, and whoever may tool_run may manage its jobs.
+ */
+function expandToolNames(list) {
+  const names = new Set(list);
+  if (names.has("tool_edit")) names.add("tool_patch");
+  if (names.has("tool_run")) names.add("tool_job_output").add("tool_job_kill");
+  return [...names];
+}
+
+/** Tool names an agent may use, or null for "everything". */
+function agentToolNames(agent) {
+  if (!agent || !Array.isArray(agent.tools)) return null;
+  return expandToolNames(agent.tools);
+}
+
+function agentConfig(config, agent) {
+  if (!agent || !agent.model || agent.model === "inherit") return config;
+  return withModel(config, agent.model);
+}
+
+function projectContextLines(project) {
+  return [
+    `The user's working directory is: ${project.cwd}`,
+    project.langInfo || "",
+    project.projectInfo || "",
+    ...memoryLines(project.memory),
+    "File tree:",
+    project.treeStr,
+  ];
+}
+
+/** The agent's system prompt (or, for older agents, its description) plus project context. */
+function agentSystemPrompt(agent, project) {
+  const tools = agentToolNames(agent);
+  return [
+    `You are "${agent.name}", a ${agent.tag ? "built-in" : "custom"} agent running inside Chalk, an AI coding assistant.`,
+    "",
+    agent.systemPrompt || agent.description,
+    "",
+    tools
+      ? (tools.length > 0 ? `Tools available to you: ${tools.join(", ")}.` : "You have no tools; answer from the conversation alone.")
+      : "",
+    "Be direct and concise. If unsure, say so.",
+    "",
+    ...projectContextLines(project),
+  ].join("\n");
+}
+
+async function selectActiveAgent(ctx, arg) {
+  if (arg === "off" || arg === "none") {
+    ctx.agent = null;
+    console.log(chalk.dim("  Back to plain Chalk."));
+    return;
+  }
+  if (arg) {
+    const agent = findAgent(arg);
+    if (!agent) {
+      console.log(chalk.yellow(`  No agent named "${arg}". See /agents.`));
+      return;
+    }
+    ctx.agent = agent;
+    console.log(chalk.green(`  Now talking to ${agent.name}.`) + chalk.dim(" /agent off to switch back."));
+    return;
+  }
+
+  const agents = loadCustomAgents();
+  if (agents.length === 0) {
+    console.log(chalk.dim("  No custom agents yet. Create one with /agents."));
+    return;
+  }
+  console.log("");
+  const idx = await panelSelect(
+    "Talk to which agent?",
+    "It answers every message until you pick another one.",
+    ["Chalk (no agent)", ...agents.map((a) => `${a.name}  ${chalk.dim(`[${a.location}] ${a.description || ""}`.slice(0, 70))}`)]
+  );
+  if (idx === -1) return;
+  await selectActiveAgent(ctx, idx === 0 ? "off" : agentSlug(agents[idx - 1].name));
+}
+
+async function showAgentsDialog() {
+  for (;;) {
+    const { agents, invalid } = scanAgentFiles();
+
+    // ── Dashboard view ──
+    console.log("");
+    console.log(BAR + chalk.bold.cyan("Agent Hub"));
+    console.log(DIVIDER);
+    console.log("");
+
+    // Built-in agents
+    console.log(BAR + chalk.white("Built-in Agents:"));
+    for (const a of BUILTIN_AGENTS) {
+      const tagColor = a.tag === "core" ? chalk.green : a.tag === "quality" ? chalk.yellow : chalk.blue;
+      console.log(BAR_DIM + `  ${chalk.white(a.name.padEnd(20))} ${tagColor(a.tag.padEnd(9))} ${chalk.dim(a.desc)}`);
+    }
+    console.log("");
+
+    // Broken files are listed with their errors so they don't vanish silently
+    if (invalid.length > 0) {
+      console.log(BAR + chalk.red("Broken agent files:"));
+      for (const bad of invalid) {
+        console.log(BAR_DIM + "  " + chalk.white(relPath(bad.file)));
+        for (const err of bad.errors) console.log(BAR_DIM + chalk.red("    - " + err));
+      }
+      console.log("");
+    }
+
+    const scope = (loc) => (loc === "project" ? chalk.blue("[project]") : chalk.magenta("[personal]"));
+    const projectSlugs = new Set(agents.filter((a) => a.location === "project").map((a) => agentSlug(a.name)));
+    const shadowed = (a) => (a.location === "personal" && projectSlugs.has(agentSlug(a.name)) ? chalk.yellow("(shadowed by project)  ") : "");
+    const items = [
+      ...agents.map((a) => `${a.name}  ${scope(a.location)}  ${shadowed(a)}${chalk.dim((a.description || "").slice(0, 50))}`),
+      ...invalid.map((bad) => `${path.basename(bad.file)}  ${scope(bad.location)}  ${chalk.red("broken")}`),
+      chalk.green("+ Create a new agent"),
+    ];
+    const idx = await panelSelect(
+      agents.length || invalid.length ? "Your agents" : "No custom agents yet",
+      "Pick an agent to view, edit, rename, duplicate, move or delete it.",
+      items
+    );
+    if (idx === -1) return;
+    if (idx < agents.length) {
+      await manageAgent(agents[idx]);
+    } else if (idx < agents.length + invalid.length) {
+      await repairAgentFile(invalid[idx - agents.length]);
+    } else {
+      await createAgentWizard();
+      return;
+    }
+  }
+}
+
+async function createAgentWizard() {
+  // ── Creation Wizard ──
+  console.log("");
+  console.log(BAR + chalk.bold.cyan("New Agent Wizard"));
+  console.log(DIVIDER);
+  console.log("");
+
+  // Step 1: Where to save
+  const locIdx = await panelSelect(
+    "Where should this agent live?",
+    "Project agents are shared with your team. Personal agents follow you everywhere.",
+    [
+      "This project  (.chalk/agents/)",
+      "Personal      (~/.chalk/agents/)",
+    ],
+    "1/4"
+  );
+  if (locIdx === -1) return;
+  const location = locIdx === 0 ? "project" : "personal";
+
+  // Step 2: How to create
+  console.log("");
+  const methodIdx = await panelSelect(
+    "How do you want to set it up?",
+    "Chalk can generate a system prompt from your description, or you write it yourself.",
+    [
+      "Describe it and let Chalk figure it out",
+      "I'll configure everything manually",
+    ],
+    "2/4"
+  );
+  if (methodIdx === -1) return;
+  const manual = methodIdx === 1;
+  const steps = manual ? 7 : 4;
+
+  // Step 3: Description
+  console.log("");
+  const description = await panelInput(
+    "What should this agent do?",
+    "Be specific. This becomes the agent's mission.",
+    "e.g., Review my pull requests for performance issues...",
+    `3/${steps}`
+  );
+  if (!description?.trim()) return;
+
+  const agent = manual
+    ? await configureAgentManually(description.trim(), steps)
+    : await draftAgentFromDescription(description.trim());
+  if (!agent) return;
+  agent.createdAt = new Date().toISOString();
+  saveAgent(agent, location);
+
+  // Confirmation
+  console.log("");
+  console.log(BAR + chalk.green.bold("Agent created"));
+  console.log(DIVIDER);
+  console.log(BAR_DIM + chalk.white("Name:  ") + agent.name);
+  console.log(BAR_DIM + chalk.white("Scope: ") + (location === "project" ? "this project" : "personal (global)"));
+  console.log(BAR_DIM + chalk.white("Model: ") + agent.model);
+  console.log(BAR_DIM + chalk.white("Tools: ") + (agent.tools.join(", ") || "(none)"));
+  console.log(BAR_DIM + chalk.white("Desc:  ") + chalk.dim(agent.description));
+  console.log(BAR_DIM + chalk.dim(`Use it with @${agentSlug(agent.name)} <task> or /agent ${agentSlug(agent.name)}`));
+  console.log(DIVIDER);
+  console.log("");
+}
+
+// ─── Sub-Agents (tool_task) ─────────────────────────────────────────────────
+
+// A delegated task gets this many model requests before it has to stop
+const SUBAGENT_MAX_TURNS = 25;
+const DEFAULT_TASK_AGENT = "explorer";
+
+const SUBAGENT_INSTRUCTIONS = [
+  "You were started by another agent to do one task. Nobody reads your intermediate messages:",
+  "your final answer is the only thing passed back, so make it a complete, self-contained report",
+  "with file paths and line numbers. Don't ask questions; make reasonable assumptions and say what they were.",
+].join("\n");
+
+/** Custom agents first (a project can override a built-in), then built-ins. */
+function findTaskAgent(name) {
+  const slug = agentSlug(name || DEFAULT_TASK_AGENT);
+  return findAgent(slug) || BUILTIN_AGENTS.find((a) => agentSlug(a.name) === slug) || null;
+}
+
+function taskAgentRoster() {
+  const custom = loadCustomAgents();
+  const slugs = new Set(custom.map((a) => agentSlug(a.name)));
+  return [
+    ...custom.map((a) => `${agentSlug(a.name)} (${a.description || "custom agent"})`),
+    ...BUILTIN_AGENTS.filter((a) => !slugs.has(agentSlug(a.name))).map((a) => `${agentSlug(a.name)} (${a.desc})`),
+  ];
+}
+
+/** tool_task with the current roster spelled out, so the model knows who it can delegate to. */
+function taskToolDefinition(def) {
+  const roster = `Available agents: ${taskAgentRoster().join("; ")}.`;
+  return { ...def, function: { ...def.function, description: `${def.function.description} ${roster}` } };
+}
+
+/**
+ * Run a sub-agent on a fresh transcript and hand back its final answer.
+ * Its tool calls go through the usual permission checks; it can't start
+ * sub-agents of its own.
+ */
+async function execToolTask(agentName, task, config) {
+  if (!task?.trim()) return { output: "tool_task needs a task.", success: false };
+  const agent = findTaskAgent(agentName);
+  if (!agent) {
+    return { output: `No agent named "${agentName}". Available: ${taskAgentRoster().join("; ")}`, success: false };
+  }
+
+  const tools = (agentToolNames(agent) || toolNames()).filter((n) => n !== "tool_task");
+  const systemPrompt = `${agentSystemPrompt({ ...agent, tools }, getProjectContext())}\n\n${SUBAGENT_INSTRUCTIONS}`;
+  console.log(chalk.magenta(`\n  >> ${agent.name}: `) + chalk.dim(task.trim().split("\n")[0].slice(0, 100)));
+
+  const parentScope = headless.subagent;
+  headless.subagent = agentSlug(agent.name);
+  let result;
+  try {
+    result = await chat(agentConfig(config, agent), systemPrompt, [{ role: "user", content: task }], {
+      tools,
+      label: agent.name,
+      maxTurns: SUBAGENT_MAX_TURNS,
+    });
+  } finally {
+    headless.subagent = parentScope;
+  }
+  if (!result) return { output: `${agent.name} failed before doing any work (API error).`, success: false };
+
+  // A run cut short still hands back whatever it last said
+  const report = result.content ||
+    [...result.messages].reverse().find((m) => m.role === "assistant" && m.content)?.content || "";
+  const note = result.stopReason === "max_turns"
+    ? `\n\n[${agent.name} hit the ${SUBAGENT_MAX_TURNS}-request limit before finishing]`
+    : result.stopReason === "budget" ? `\n\n[${agent.name} stopped: the spending budget is used up, so retrying won't help]`
+    : result.stopReason === "error" ? `\n\n[${agent.name} stopped on an API error]` : "";
+  console.log(chalk.dim(`  << ${agent.name} done (${result.requests} request${result.requests === 1 ? "" : "s"})`));
+  return {
+    output: capOutput(`${agent.name} report:\n${report || "(no report)"}${note}`),
+    success: result.stopReason === "end" && !!report,
+  };
+}
+
+// ─── Agent Wizard: Drafting and Manual Setup ────────────────────────────────
+
+function toolNames() {
+  return allToolDefinitions().map((t) => t.function.name);
+}
+
+function kebabCase(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+}
+
+/** Pull the first JSON object out of a model reply (fences, <think> and chatter tolerated). */
+function extractJsonObject(text) {
+  const cleaned = (text || "").replace(/<think>[\s\S]*?<\/think>/g, "").replace(/```(?:json)?/g, "");
+  const start = cleaned.indexOf("{");
+  const end = cleaned.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+  try {
+    return JSON.parse(cleaned.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+/** Ask the model for name, system prompt and tool subset. Returns an agent or null. */
+async function generateAgentDraft(description, feedback) {
+  const config = loadConfig();
+  const missingKey = missingKeyFor(config, config.model);
+  if (missingKey) {
+    console.log(chalk.red(`  ${missingKey} is not set. Run chalk login, or pick the manual setup.`));
+    return null;
+  }
+  const toolList = allToolDefinitions().map((t) => `- ${t.function.name}: ${t.function.description}`).join("\n");
+  const instructions = [
+    "You design specialized agents for Chalk, a terminal AI coding assistant.",
+    "Given the user's description, reply with ONLY a JSON object, no prose, shaped like:",
+    '{"name": "kebab-case-name", "description": "one sentence", "systemPrompt": "...", "tools": ["tool_read"]}',
+    "",
+    "- name: 2-4 words, kebab-case, memorable.",
+    "- systemPrompt: second person (\"You are...\"). Cover the agent's role, what it checks or does,",
+    "  how it works step by step, and the shape of its final answer. 120-350 words.",
+    "- tools: the smallest subset of these that the job needs. Agents that only review or",
+    "  explain should not get tool_edit, tool_patch or tool_run.",
+    toolList,
+  ].join("\n");
+
+  const messages = [
+    { role: "system", content: instructions },
+    { role: "user", content: description },
+  ];
+  if (feedback) messages.push({ role: "user", content: `Revise the draft: ${feedback}` });
+
+  const spinner = ora({ text: "Drafting agent...", color: "cyan" }).start();
+  try {
+    const { message, usage, model } = await completeWithRetry(config, {
+      model: config.model,
+      messages,
+      temperature: 0.4,
+      max_tokens: 2048,
+    });
+    if (usage) await recordUsage(config, model, usage);
+    spinner.stop();
+    const draft = extractJsonObject(message.content);
+    if (!draft?.systemPrompt) {
+      console.log(chalk.yellow("  The model didn't return a usable draft."));
+      return null;
+    }
+    const known = new Set(toolNames());
+    return {
+      name: kebabCase(draft.name) || kebabCase(description.split(/\s+/).slice(0, 3).join(" ")),
+      description: String(draft.description || description).trim(),
+      systemPrompt: String(draft.systemPrompt).trim(),
+      model: "inherit",
+      tools: (Array.isArray(draft.tools) ? draft.tools : []).filter((t) => known.has(t)),
+    };
+  } catch (err) {
+    spinner.stop();
+    console.log(chalk.red(`  [error] ${err.message}`));
+    return null;
+  }
+}
+
+function printAgentDraft(agent, heading = "Review agent") {
+  console.log("");
+  console.log(BAR + chalk.bold.cyan(heading));
+  console.log(DIVIDER);
+  console.log(BAR_DIM + chalk.white("Name:   ") + agent.name);
+  if (agent.file) console.log(BAR_DIM + chalk.white("File:   ") + relPath(agent.file));
+  console.log(BAR_DIM + chalk.white("Model:  ") + (agent.model || "inherit"));
+  console.log(BAR_DIM + chalk.white("Tools:  ") + (agent.tools ? agent.tools.join(", ") || "(none)" : "(all)"));
+  console.log(BAR_DIM + chalk.white("Desc:   ") + chalk.dim(agent.description || ""));
+  console.log(BAR_DIM + chalk.white("Prompt:"));
+  const prompt = agent.systemPrompt || chalk.italic("(uses the description)");
+  for (const line of prompt.split("\n")) console.log(BAR_DIM + chalk.dim("  " + line));
+  console.log(DIVIDER);
+  console.log("");
+}
+
+async function pickAgentTools(current, step) {
+  const names = toolNames();
+  const picked = await panelMultiSelect(
+    "Which tools can it use?",
+    "Read-only tools are safe defaults. Leave edits and commands off for reviewers.",
+    names,
+    names.map((n, i) => (current.includes(n) ? i : -1)).filter((i) => i !== -1),
+    step
+  );
+  return picked === null ? null : picked.map((i) => names[i]);
+}
+
+/** Multi-line system prompt: $EDITOR when available, else one line in the panel. */
+async function editSystemPrompt(current, step) {
+  const edited = editInEditor(current || "# Write the agent's system prompt below.\n");
+  if (edited !== null) return edited.replace(/^# Write the agent's system prompt below\.\n/, "").trim();
+  console.log("");
+  const line = await panelInput("System prompt", "No editor available; one line only.", current || "You are...", step);
+  return line === null ? null : line.trim() || current;
+}
+
+/** "Describe it" path: the model drafts, the user reviews and tweaks before saving. */
+async function draftAgentFromDescription(description) {
+  let agent = await generateAgentDraft(description);
+  if (!agent) return null;
+
+  while (true) {
+    printAgentDraft(agent);
+    const action = await panelSelect("Save this agent?", "Tweak anything before it's written to disk.", [
+      "Save it",
+      "Edit name",
+      "Edit system prompt",
+      "Edit tools",
+      "Edit model",
+      "Regenerate with feedback",
+      "Cancel",
+    ], "4/4");
+
+    if (action === 0) return agent;
+    if (action === -1 || action === 6) return null;
+    console.log("");
+    if (action === 1) {
+      const name = await panelInput("Name", "Kebab-case works best: @name summons it.", agent.name);
+      if (name?.trim()) agent.name = name.trim();
+    } else if (action === 2) {
+      const prompt = await editSystemPrompt(agent.systemPrompt);
+      if (prompt) agent.systemPrompt = prompt;
+    } else if (action === 3) {
+      const tools = await pickAgentTools(agent.tools);
+      if (tools) agent.tools = tools;
+    } else if (action === 4) {
+      const model = await panelInput("Model", "A model ID, or leave empty to inherit the session model.", "inherit");
+      if (model !== null) agent.model = model.trim() || "inherit";
+    } else if (action === 5) {
+      const feedback = await panelInput("What should change?", "Chalk redrafts with this feedback.", "e.g., make it stricter about N+1 queries");
+      if (feedback?.trim()) agent = (await generateAgentDraft(description, feedback.trim())) || agent;
+    }
+  }
+}
+
+/** "Manual" path: name, system prompt, tools and model, one step each. */
+async function configureAgentManually(description, steps) {
+  console.log("");
+  const name = await panelInput(
+    "Give it a name",
+    "Short and memorable. You'll use this to summon it.",
+    "e.g., Perf Reviewer",
+    `4/${steps}`
+  );
+  if (!name?.trim()) return null;
+
+  console.log("");
+  const promptIdx = await panelSelect(
+    "System prompt",
+    "The instructions the agent follows on every task.",
+    [
+      "Write it in my editor",
+      "Type a one-liner here",
+      "Use the description as the prompt",
+    ],
+    `5/${steps}`
+  );
+  if (promptIdx === -1) return null;
+  let systemPrompt = description;
+  if (promptIdx === 0) {
+    systemPrompt = (await editSystemPrompt(`You are ${name.trim()}. ${description}\n`, `5/${steps}`)) || description;
+  } else if (promptIdx === 1) {
+    console.log("");
+    const line = await panelInput("System prompt", "One line. Use the editor option for more.", "You are...", `5/${steps}`);
+    if (line === null) return null;
+    systemPrompt = line.trim() || description;
+  }
+
+  console.log("");
+  const tools = await pickAgentTools(["tool_read", "tool_grep", "tool_glob", "tool_ls"], `6/${steps}`);
+  if (tools === null) return null;
+
+  console.log("");
+  const model = await panelInput(
+    "Which model?",
+    "A model ID such as anthropic/claude-sonnet-4, or leave empty to inherit the session model.",
+    "inherit",
+    `7/${steps}`
+  );
+  if (model === null) return null;
+
+  return {
+    name: name.trim(),
+    description,
+    systemPrompt,
+    model: model.trim() || "inherit",
+    tools,
+  };
+}
+
+// ─── Agent Hub: Managing Existing Agents ────────────────────────────────────
+
+/** Another agent file with this name in that scope, other than `except`. */
+function agentNameTaken(name, location, except) {
+  const file = agentFilePath(name, location);
+  return file !== except && fs.existsSync(file);
+}
+
+/** Ask for a name that's free in `location`. Returns null on Esc. */
+async function promptAgentName(heading, placeholder, location, except) {
+  for (;;) {
+    console.log("");
+    const input = await panelInput(heading, "Letters, numbers and dashes work best.", placeholder);
+    if (input === null) return null;
+    const name = input.trim() || placeholder;
+    if (!agentSlug(name)) continue;
+    if (!agentNameTaken(name, location, except)) return name;
+    console.log(chalk.yellow(`  ${relPath(agentFilePath(name, location))} already exists. Pick another name.`));
+  }
+}
+
+async function confirmPanel(heading, hint, yesLabel) {
+  console.log("");
+  return (await panelSelect(heading, hint, ["Cancel", yesLabel])) === 1;
+}
+
+/** Detail view for one agent with edit, rename, duplicate, move and delete. */
+async function manageAgent(agent) {
+  for (;;) {
+    printAgentDraft(agent, "Agent details");
+    const other = agent.location === "project" ? "personal" : "project";
+    const actions = [
+      "Edit system prompt",
+      "Edit description",
+      "Edit tools",
+      "Edit model",
+      "Rename",
+      "Duplicate",
+      other === "project" ? "Move to this project (.chalk/agents/)" : "Move to personal (~/.chalk/agents/)",
+      chalk.red("Delete"),
+    ];
+    const idx = await panelSelect(agent.name, `Scope: ${agent.location}. Esc goes back to the hub.`, actions);
+    if (idx === -1) return;
+
+    const update = (changes) => {
+      Object.assign(agent, changes, { updatedAt: new Date().toISOString() });
+      saveAgent(agent, agent.location);
+      console.log(chalk.green(`  Saved ${relPath(agent.file)}`));
+    };
+
+    switch (idx) {
+      case 0: {
+        const prompt = await editSystemPrompt(agent.systemPrompt || agent.description);
+        if (prompt) update({ systemPrompt: prompt });
+        break;
+      }
+      case 1: {
+        console.log("");
+        const desc = await panelInput("Description", "Shown in the hub and used to pick the agent.", agent.description || "");
+        if (desc?.trim()) update({ description: desc.trim() });
+        break;
+      }
+      case 2: {
+        console.log("");
+        const tools = await pickAgentTools(agent.tools || toolNames());
+        if (tools) update({ tools });
+        break;
+      }
+      case 3: {
+        console.log("");
+        const model = await panelInput("Which model?", "A model ID, or leave empty to inherit the session model.", agent.model || "inherit");
+        if (model !== null) update({ model: model.trim() || "inherit" });
+        break;
+      }
+      case 4: {
+        const name = await promptAgentName("New name", agent.name, agent.location, agent.file);
+        if (!name || name === agent.name) break;
+        const oldFile = agent.file;
+        agent.name = name;
+        agent.file = agentFilePath(name, agent.location);
+        update({});
+        if (oldFile !== agent.file) fs.rmSync(oldFile, { force: true });
+        break;
+      }
+      case 5: {
+        const name = await promptAgentName("Name for the copy", `${agentSlug(agent.name)}-copy`, agent.location);
+        if (!name) break;
+        const { updatedAt: _updatedAt, ...rest } = agent;
+        const file = saveAgent({ ...rest, name, createdAt: new Date().toISOString() }, agent.location);
+        console.log(chalk.green(`  Created ${relPath(file)}`));
+        break;
+      }
+      case 6: {
+        if (agentNameTaken(agent.name, other) &&
+            !(await confirmPanel(`Replace the ${other} ${agent.name}?`, relPath(agentFilePath(agent.name, other)) + " already exists.", "Replace it"))) {
+          break;
+        }
+        const oldFile = agent.file;
+        agent.location = other;
+        agent.file = saveAgent(agent, other);
+        fs.rmSync(oldFile, { force: true });
+        console.log(chalk.green(`  Moved to ${relPath(agent.file)}`));
+        break;
+      }
+      case 7: {
+        if (!(await confirmPanel(`Delete ${agent.name}?`, `Removes ${relPath(agent.file)}. This can't be undone.`, "Delete it"))) break;
+        fs.rmSync(agent.file, { force: true });
+        console.log(chalk.green(`  Deleted ${agent.name}.`));
+        return;
+      }
+    }
+  }
+}
+
+/** A file that failed validation: show why, then fix it in $EDITOR or delete it. */
+async function repairAgentFile(bad) {
+  for (;;) {
+    console.log("");
+    console.log(BAR + chalk.bold.red("Broken agent file"));
+    console.log(DIVIDER);
+    console.log(BAR_DIM + chalk.white("File: ") + relPath(bad.file));
+    for (const err of bad.errors) console.log(BAR_DIM + chalk.red("  - " + err));
+    console.log(DIVIDER);
+    console.log("");
+    const idx = await panelSelect("What now?", "Fix the JSON by hand, or remove the file.", ["Fix it in my editor", chalk.red("Delete the file")]);
+    if (idx === -1) return;
+    if (idx === 1) {
+      if (!(await confirmPanel(`Delete ${path.basename(bad.file)}?`, "This can't be undone.", "Delete it"))) continue;
+      fs.rmSync(bad.file, { force: true });
+      console.log(chalk.green(`  Deleted ${relPath(bad.file)}.`));
+      return;
+    }
+
+    const edited = editInEditor(fs.readFileSync(bad.file, "utf-8"), ".json");
+    if (edited === null) {
+      console.log(chalk.yellow(`  No editor available. Set $EDITOR or edit ${relPath(bad.file)} directly.`));
+      return;
+    }
+    fs.writeFileSync(bad.file, edited, "utf-8");
+    try {
+      bad.errors = validateAgent(JSON.parse(edited));
+    } catch (err) {
+      bad.errors = [`not valid JSON (${err.message})`];
+    }
+    if (bad.errors.length === 0) {
+      console.log(chalk.green(`  ${relPath(bad.file)} is valid now.`));
+      return;
+    }
+  }
+}
+
+// ─── Slash Command Handlers ─────────────────────────────────────────────────
+
+async function handleSlashCommand(command, ctx, arg = "") {
+  const config = sessionConfig(loadConfig(), ctx);
+
+  switch (command) {
+    case "/help":
+      console.log(chalk.cyan(`
+  Chalk CLI - ${MODEL_NAME}
+
+  Usage:
+    Type your message and press Enter.
+    Chalk can run commands and edit files for you.
+
+  Slash Commands:`));
+      for (const c of allSlashCommands()) {
+        console.log(`    ${chalk.cyan(c.name.padEnd(14))} ${chalk.dim(c.description)}`);
+      }
+      console.log(chalk.dim(`
+  One-shot:    chalk "your prompt here"
+  Multi-line:  Start with \`\`\`, end with \`\`\`
+  Remember:    Start with # to add a note to CHALK.md
+  Files:       @path attaches a file (@src/app.js:40-120 for lines), Tab completes
+  Commands:    .chalk/commands/<name>.md (or ~/.chalk/commands) adds /<name>; $ARGUMENTS, $1 in the body
+  History:     Up/Down to browse, Ctrl+R to search (kept in ~/.chalk/history)
+  Editing:     Alt+Enter for a new line; pasted text stays one message
+  Running:     Ctrl+C stops the command Chalk is running; /jobs lists background ones
+`));
+      break;
+
+    case "/clear":
+      console.clear();
+      break;
+
+    case "/agents":
+      await showAgentsDialog();
+      break;
+
+    case "/agent":
+      await selectActiveAgent(ctx, arg.trim());
+      break;
+
+    case "/permissions":
+      await showPermissionsDialog();
+      break;
+
+    case "/hooks":
+      showHooks();
+      break;
+
+    case "/jobs":
+      showJobs(arg);
+      break;
+
+    case "/mcp":
+      if (arg === "restart") await startMcpServers();
+      showMcpStatus();
+      break;
+
+    case "/config":
+      console.log(chalk.dim(formatConfig(config)));
+      break;
+
+    case "/model":
+      await switchModel(ctx, config, arg.trim());
+      break;
+
+    case "/init":
+      await initMemory(config);
+      break;
+
+    case "/memory":
+      await editMemory();
+      break;
+
+    case "/tree": {
+      const project = getProjectContext();
+      console.log(chalk.cyan(`\n  ${project.cwd}\n`));
+      console.log(chalk.dim(project.treeStr.split("\n").map((l) => `  ${l}`).join("\n")));
+      console.log();
+      break;
+    }
+
+    case "/cost": {
+      const { session, today } = currentSpend(ctx.sessionId);
+      const limit = (n) => (n ? ` of ${formatCost(n)} budget` : "");
+      console.log(chalk.dim(`  Session tokens: ${ctx.totalTokens} (prompt: ${ctx.promptTokens}, completion: ${ctx.completionTokens})`));
+      console.log(chalk.dim(`  Session cost:   ${formatCost(session)}${limit(config.sessionBudget)} (sub-agents included)`));
+      console.log(chalk.dim(`  Today:          ${formatCost(today)}${limit(config.dailyBudget)}`));
+      console.log(chalk.dim("  Run chalk usage for reports by day, project and model."));
+      break;
+    }
 
-    if (!process.stdin.isTTY) { resolve(null); return; }
+    case "/compact": {
+      const done = await compactConversation(ctx, config, { focus: arg.trim() });
+      if (done === null) {
+        console.log(chalk.dim("  Conversation is already short."));
+      } else if (done) {
+        console.log(chalk.green(`  Compacted ${done.dropped} messages into a summary; kept the last ${done.kept} as they were.`));
+        saveSession(ctx, config.model);
+      }
+      break;
+    }
 
-    const wasRaw = process.stdin.isRaw;
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
+    case "/new":
+      saveSession(ctx, config.model);
+      Object.assign(ctx, createSessionState());
+      console.log(chalk.green("  New conversation started."));
+      break;
 
-    function render(clear) {
-      if (clear) {
-        // Move up and clear previous render
-        const lines = filtered.length + 2;
-        process.stdout.write(`\x1b[${lines}A\x1b[J`);
+    case "/undo":
+      await undoLastEdit(ctx);
+      saveSession(ctx, config.model);
+      break;
+
+    case "/rewind":
+      await rewindConversation(ctx);
+      saveSession(ctx, config.model);
+      break;
+
+    case "/changes":
+      showChanges(ctx);
+      break;
+
+    case "/sessions": {
+      const sessions = listSessions();
+      if (sessions.length === 0) {
+        console.log(chalk.dim("  No saved sessions for this directory."));
+        break;
       }
-      process.stdout.write(`  ${chalk.dim("/")}${chalk.cyan(filter)}\n\n`);
-      if (filtered.length === 0) {
-        process.stdout.write(chalk.dim("  No matching commands\n"));
-      } else {
-        for (let i = 0; i < filtered.length; i++) {
-          const c = filtered[i];
-          const name = c.name.padEnd(14);
-          if (i === selected) {
-            process.stdout.write(`  ${chalk.cyan.bold(name)} ${chalk.white(c.description)}\n`);
-          } else {
-            process.stdout.write(`  ${chalk.dim(name)} ${chalk.dim(c.description)}\n`);
-          }
+      console.log("");
+      for (const s of sessions.slice(0, 20)) {
+        const marker = s.id === ctx.sessionId ? chalk.cyan("*") : " ";
+        console.log(`  ${marker} ${chalk.white(s.id)}  ${chalk.dim(describeSession(s))}`);
+      }
+      console.log(chalk.dim(`\n  /resume <id> to continue one.\n`));
+      break;
+    }
+
+    case "/resume": {
+      saveSession(ctx, config.model);
+      const session = arg ? loadSession(arg) : await pickSession();
+      if (!session) {
+        if (arg) console.log(chalk.yellow(`  No session "${arg}" for this directory. See /sessions.`));
+        break;
+      }
+      applySession(ctx, session);
+      printResumeSummary(session);
+      break;
+    }
+
+    case "/exit":
+      saveSession(ctx, config.model);
+      runHooks("SessionEnd", { reason: "exit" });
+      console.log(chalk.dim("  Goodbye!"));
+      process.exit(0);
+
+    default:
+      console.log(chalk.yellow(`  Unknown command: ${command}`));
+  }
+}
+
+// ─── Providers (OpenRouter, OpenAI-compatible, Ollama, Anthropic) ──────────
+
+// Chalk speaks the OpenAI chat format internally; "anthropic" is translated
+// on the way out and back. keyEnv/baseEnv are read by loadConfig().
+const PROVIDERS = {
+  openrouter: { format: "openai", baseEnv: "OPENROUTER_BASE_URL", keyEnv: "OPENROUTER_API_KEY", baseUrl: API_BASE, needsKey: true },
+  openai: { format: "openai", baseEnv: "OPENAI_BASE_URL", keyEnv: "OPENAI_API_KEY", baseUrl: "https://api.openai.com/v1", needsKey: false },
+  ollama: { format: "openai", baseEnv: "OLLAMA_BASE_URL", keyEnv: null, baseUrl: "http://localhost:11434/v1", needsKey: false },
+  anthropic: { format: "anthropic", baseEnv: "ANTHROPIC_BASE_URL", keyEnv: "ANTHROPIC_API_KEY", baseUrl: "https://api.anthropic.com/v1", needsKey: true },
+};
+const ANTHROPIC_VERSION = "2023-06-01";
+
+function loadProviders() {
+  const providers = {};
+  for (const [name, p] of Object.entries(PROVIDERS)) {
+    providers[name] = {
+      baseUrl: (process.env[p.baseEnv] || p.baseUrl).replace(/\/+$/, ""),
+      apiKey: p.keyEnv ? process.env[p.keyEnv] || "" : "",
+      // Set up by the user, so a matching model prefix routes here
+      configured: name === "ollama" || !!process.env[p.baseEnv] || !!(p.keyEnv && process.env[p.keyEnv]),
+    };
+  }
+  return providers;
+}
+
+/**
+ * Which backend serves a model. "ollama/qwen2.5-coder" goes to Ollama;
+ * "openai/..." and "anthropic/..." go direct only when that provider is set
+ * up (otherwise they're OpenRouter model IDs). Everything else uses
+ * CHALK_PROVIDER. Returns the connection plus the model ID to send.
+ */
+function resolveProvider(config, model) {
+  const slash = model.indexOf("/");
+  const prefix = slash > 0 ? model.slice(0, slash) : "";
+  const prefixed = prefix !== "openrouter" && config.providers[prefix]?.configured;
+  const name = prefixed ? prefix : config.provider;
+  return {
+    name,
+    format: PROVIDERS[name].format,
+    needsKey: PROVIDERS[name].needsKey,
+    keyEnv: PROVIDERS[name].keyEnv,
+    ...config.providers[name],
+    model: prefixed ? model.slice(slash + 1) : model,
+  };
+}
+
+/** Env var to set when the model's provider needs a key and has none, else null. */
+function missingKeyFor(config, model) {
+  const provider = resolveProvider(config, model);
+  return provider.needsKey && !provider.apiKey ? provider.keyEnv : null;
+}
+
+function openAIRequest(provider, body) {
+  const headers = { "Content-Type": "application/json" };
+  if (provider.apiKey) headers.Authorization = `Bearer ${provider.apiKey}`;
+  if (provider.name === "openrouter") {
+    headers["HTTP-Referer"] = "https://github.com/chalk-cli";
+    headers["X-Title"] = "Chalk CLI";
+  }
+  return {
+    url: `${provider.baseUrl}/chat/completions`,
+    headers,
+    body: { ...body, model: provider.model, stream: true, stream_options: { include_usage: true } },
+  };
+}
+
+/**
+ * OpenAI-style messages -> Anthropic Messages API: the system prompt moves
+ * to `system`, tool calls become tool_use blocks, tool results become
+ * tool_result blocks in a user turn, and same-role turns are merged.
+ */
+function anthropicRequest(provider, body) {
+  const messages = [];
+  const push = (role, block) => {
+    const last = messages[messages.length - 1];
+    if (last?.role === role) last.content.push(block);
+    else messages.push({ role, content: [block] });
+  };
+  for (const m of body.messages) {
+    if (m.role === "system") continue;
+    if (m.role === "tool") {
+      push("user", { type: "tool_result", tool_use_id: m.tool_call_id, content: m.content || "(no output)" });
+    } else if (m.role === "assistant") {
+      if (m.content) push("assistant", { type: "text", text: m.content });
+      for (const tc of m.tool_calls || []) {
+        let input;
+        try {
+          input = JSON.parse(tc.function.arguments || "{}");
+        } catch {
+          input = {};
         }
+        push("assistant", { type: "tool_use", id: tc.id, name: tc.function.name, input });
       }
+    } else if (m.content) {
+      push("user", { type: "text", text: m.content });
     }
+  }
 
-    function cleanup() {
-      process.stdin.removeListener("data", onKey);
-      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
-      // Clear menu
-      const lines = filtered.length + 2;
-      process.stdout.write(`\x1b[${lines}A\x1b[J`);
+  const payload = {
+    model: provider.model,
+    system: body.messages.filter((m) => m.role === "system").map((m) => m.content).join("\n\n"),
+    messages,
+    max_tokens: body.max_tokens || 4096,
+    temperature: body.temperature,
+    stream: true,
+  };
+  if (body.tools?.length) {
+    payload.tools = body.tools.map((t) => ({
+      name: t.function.name,
+      description: t.function.description,
+      input_schema: t.function.parameters || { type: "object", properties: {} },
+    }));
+  }
+  return {
+    url: `${provider.baseUrl}/messages`,
+    headers: {
+      "Content-Type": "application/json",
+      "x-api-key": provider.apiKey,
+      "anthropic-version": ANTHROPIC_VERSION,
+    },
+    body: payload,
+  };
+}
+
+const ANTHROPIC_STOP_REASONS = { end_turn: "stop", stop_sequence: "stop", tool_use: "tool_calls", max_tokens: "length" };
+const ANTHROPIC_ERROR_STATUS = { overloaded_error: 529, rate_limit_error: 429, api_error: 500, invalid_request_error: 400, authentication_error: 401 };
+
+/** Parse Anthropic's event stream into the same shape as openAIStreamParser. */
+function anthropicStreamParser(handlers) {
+  const acc = createStreamAccumulator(handlers);
+  let input = 0;
+  let output = 0;
+
+  function handleLine(line) {
+    // "event:" lines repeat the type that's also inside the data payload
+    if (!line.startsWith("data:")) return false;
+    let data;
+    try {
+      data = JSON.parse(line.slice(5).trim());
+    } catch {
+      return false;
     }
+    acc.received = true;
 
-    function updateFilter() {
-      const term = filter.toLowerCase();
-      filtered = SLASH_COMMANDS.filter(
-        (c) => c.name.slice(1).includes(term) || c.description.toLowerCase().includes(term)
-      );
-      selected = 0;
+    switch (data.type) {
+      case "error": {
+        const err = new Error(`API error: ${data.error?.message || JSON.stringify(data.error)}`);
+        err.status = ANTHROPIC_ERROR_STATUS[data.error?.type];
+        throw err;
+      }
+      case "message_start": {
+        const u = data.message?.usage || {};
+        input = (u.input_tokens || 0) + (u.cache_read_input_tokens || 0) + (u.cache_creation_input_tokens || 0);
+        output = u.output_tokens || 0;
+        break;
+      }
+      case "content_block_start":
+        if (data.content_block?.type === "tool_use") {
+          acc.toolCall(data.index, { id: data.content_block.id, name: data.content_block.name });
+        }
+        break;
+      case "content_block_delta":
+        if (data.delta?.type === "text_delta") acc.text(data.delta.text);
+        else if (data.delta?.type === "input_json_delta") acc.toolCall(data.index, { args: data.delta.partial_json });
+        break;
+      case "message_delta":
+        if (data.delta?.stop_reason) acc.finishReason = ANTHROPIC_STOP_REASONS[data.delta.stop_reason] || data.delta.stop_reason;
+        if (data.usage?.output_tokens) output = data.usage.output_tokens;
+        break;
+      case "message_stop":
+        acc.usage = { prompt_tokens: input, completion_tokens: output, total_tokens: input + output };
+        return true;
     }
+    return false;
+  }
 
-    function onKey(data) {
-      const code = data[0];
+  return { handleLine, result: acc.result };
+}
 
-      // Escape or Ctrl+C -> cancel
-      if ((code === 27 && data.length === 1) || code === 3) {
-        cleanup();
-        resolve(null);
-        return;
+// ─── Markdown Rendering (assistant replies) ─────────────────────────────────
+
+// Rendered replies get the same left margin as the rest of Chalk's output
+const MD_INDENT = "  ";
+// Wrap at the terminal width, but keep prose readable on very wide terminals
+const MD_MAX_WIDTH = 110;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/** Columns a string takes in the terminal: ANSI codes are free, CJK and emoji take two. */
+function displayWidth(text) {
+  let width = 0;
+  for (const ch of text.replace(ANSI_PATTERN, "")) {
+    const cp = ch.codePointAt(0);
+    // Control characters, combining marks, zero-width joiner, variation selectors
+    if (cp < 32 || (cp >= 0x300 && cp <= 0x36f) || cp === 0x200d || (cp >= 0xfe00 && cp <= 0xfe0f)) continue;
+    const wide = (cp >= 0x1100 && cp <= 0x115f) || (cp >= 0x2e80 && cp <= 0xa4cf) || (cp >= 0xac00 && cp <= 0xd7a3)
+      || (cp >= 0xf900 && cp <= 0xfaff) || (cp >= 0xfe30 && cp <= 0xfe4f) || (cp >= 0xff00 && cp <= 0xff60)
+      || (cp >= 0xffe0 && cp <= 0xffe6) || (cp >= 0x1f300 && cp <= 0x1faff) || (cp >= 0x20000 && cp <= 0x3fffd);
+    width += wide ? 2 : 1;
+  }
+  return width;
+}
+
+/** Text width available for a reply, after the margin. */
+function markdownWidth() {
+  return Math.max(20, Math.min(process.stdout.columns || 80, MD_MAX_WIDTH) - MD_INDENT.length - 1);
+}
+
+// Code spans, bold, strikethrough, italics, links, autolinks, bare URLs, escapes
+const INLINE_PATTERN = new RegExp([
+  /(`+)(.+?)\1(?!`)/.source,
+  /\*\*(.+?)\*\*|__(.+?)__/.source,
+  /~~(.+?)~~/.source,
+  /\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/.source,
+  /!?\[([^\]]*)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/.source,
+  /<(https?:\/\/[^>\s]+)>|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/.source,
+  /\\([\\`*_{}[\]()#+\-.!|~<>])/.source,
+].join("|"), "g");
+
+/**
+ * Split inline markdown into { text, style } segments. Emphasis nests, so
+ * `outer` is the style already applied by the enclosing span.
+ */
+function parseInline(text, outer = null) {
+  const wrap = (style) => (outer ? (s) => outer(style(s)) : style);
+  const segments = [];
+  let last = 0;
+  for (const m of text.matchAll(INLINE_PATTERN)) {
+    if (m.index > last) segments.push({ text: text.slice(last, m.index), style: outer });
+    if (m[2] !== undefined) segments.push({ text: m[2].replace(/^ (.+) $/, "$1"), style: wrap(chalk.cyan) });
+    else if (m[3] !== undefined || m[4] !== undefined) segments.push(...parseInline(m[3] ?? m[4], wrap(chalk.bold)));
+    else if (m[5] !== undefined) segments.push(...parseInline(m[5], wrap(chalk.strikethrough)));
+    else if (m[6] !== undefined || m[7] !== undefined) segments.push(...parseInline(m[6] ?? m[7], wrap(chalk.italic)));
+    else if (m[8] !== undefined) {
+      const label = m[8] || m[9];
+      segments.push(...parseInline(label, wrap(chalk.blue.underline)));
+      if (label !== m[9]) segments.push({ text: ` (${m[9]})`, style: wrap(chalk.dim) });
+    } else if (m[10] !== undefined || m[11] !== undefined) segments.push({ text: m[10] ?? m[11], style: wrap(chalk.blue.underline) });
+    else segments.push({ text: m[12], style: outer });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last), style: outer });
+  return segments;
+}
+
+/** Lay styled segments out in lines of at most `width` columns, breaking at spaces. */
+function wrapSegments(segments, width) {
+  const words = [];
+  let word = null;
+  for (const { text, style } of segments) {
+    for (const piece of text.split(/(\s+)/)) {
+      if (!piece) continue;
+      if (/^\s+$/.test(piece)) {
+        word = null;
+        continue;
       }
+      // A word can span segments, e.g. "**bold**ly"; it still wraps as one
+      if (!word) {
+        word = { text: "", width: 0 };
+        words.push(word);
+      }
+      word.text += style ? style(piece) : piece;
+      word.width += displayWidth(piece);
+    }
+  }
 
-      // Enter -> select
-      if (code === 13) {
-        const choice = filtered[selected] || null;
-        cleanup();
-        resolve(choice ? choice.name : null);
-        return;
+  const lines = [];
+  let line = "";
+  let used = 0;
+  for (const w of words) {
+    if (used > 0 && used + 1 + w.width > width) {
+      lines.push(line);
+      line = "";
+      used = 0;
+    }
+    if (used > 0) {
+      line += " ";
+      used++;
+    }
+    line += w.text;
+    used += w.width;
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+function plainText(segments) {
+  return segments.map((s) => s.text).join("");
+}
+
+// ── Syntax highlighting for fenced code ──
+
+const HL = {
+  comment: chalk.gray,
+  string: chalk.green,
+  keyword: chalk.magenta,
+  literal: chalk.yellow,
+  fn: chalk.blue,
+  type: chalk.cyan,
+};
+
+const JS_KEYWORDS = "async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield";
+const C_KEYWORDS = "auto break case char const continue default do double else enum extern float for goto if inline int long register return short signed sizeof static struct switch typedef union unsigned void volatile while";
+
+/** Keyword lists, comment markers and quotes per language; see highlightCode(). */
+const LANGUAGES = {
+  js: { keywords: JS_KEYWORDS, literals: "true false null undefined NaN Infinity", comment: "//", multi: [["/*", "*/", HL.comment], ["`", "`", HL.string]], quotes: "\"'" },
+  ts: { keywords: `${JS_KEYWORDS} type interface enum implements declare namespace abstract private public protected readonly keyof as is satisfies`, literals: "true false null undefined NaN Infinity", comment: "//", multi: [["/*", "*/", HL.comment], ["`", "`", HL.string]], quotes: "\"'", types: true },
+  py: { keywords: "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case self", literals: "True False None", comment: "#", multi: [['"""', '"""', HL.string], ["'''", "'''", HL.string]], quotes: "\"'", types: true },
+  rust: { keywords: "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while", literals: "true false None Some Ok Err", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"", types: true },
+  go: { keywords: "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var", literals: "true false nil iota", comment: "//", multi: [["/*", "*/", HL.comment], ["`", "`", HL.string]], quotes: "\"'", types: true },
+  c: { keywords: `${C_KEYWORDS} include define ifdef ifndef endif pragma`, literals: "true false NULL", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"'", types: true },
+  cpp: { keywords: `${C_KEYWORDS} include define ifdef ifndef endif pragma class namespace template typename public private protected virtual override new delete this using try catch throw bool constexpr`, literals: "true false nullptr NULL", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"'", types: true },
+  java: { keywords: "abstract boolean break byte case catch char class continue default do double else enum extends final finally float for fun if implements import instanceof int interface long new package private protected public return short static super switch synchronized this throw throws try val var void volatile when while record", literals: "true false null", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"'", types: true },
+  cs: { keywords: "abstract as async await base bool break case catch class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly ref return sealed short sizeof static string struct switch this throw try typeof uint ulong using var virtual void volatile while", literals: "true false null", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"'", types: true },
+  php: { keywords: "abstract and array as break case catch class clone const continue declare default do echo else elseif empty extends final finally fn for foreach function global if implements include instanceof interface isset list match namespace new or print private protected public require require_once return static switch throw trait try unset use var while yield", literals: "true false null TRUE FALSE NULL", comment: "//", multi: [["/*", "*/", HL.comment]], quotes: "\"'", vars: true },
+  ruby: { keywords: "alias and begin break case class def defined? do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor attr_reader", literals: "true false nil", comment: "#", quotes: "\"'", types: true },
+  sh: { keywords: "if then else elif fi for while until do done case esac function in return local export readonly declare exit source alias set unset shift", literals: "true false", comment: "#", quotes: "\"'", vars: true },
+  sql: { keywords: "select from where and or not insert into values update set delete create table drop alter add index primary key foreign references join left right inner outer full on as group by order having limit offset distinct union all is in like between case when then else end exists returning with asc desc", literals: "null true false", comment: "--", multi: [["/*", "*/", HL.comment]], quotes: "'\"", ignoreCase: true },
+  json: { literals: "true false null", quotes: "\"", keys: true },
+  yaml: { literals: "true false null yes no on off ~", comment: "#", quotes: "\"'", keyPattern: /^(\s*-?\s*)([\w.\-/"' ]+?)(:)(?=\s|$)/ },
+  toml: { literals: "true false", comment: "#", multi: [['"""', '"""', HL.string]], quotes: "\"'", keyPattern: /^(\s*)([\w.\-"]+)(\s*=)/ },
+  css: { literals: "", comment: null, multi: [["/*", "*/", HL.comment]], quotes: "\"'", keyPattern: /^(\s*)([\w-]+)(\s*:)(?!:)/ },
+  html: { markup: true },
+  diff: { diff: true },
+};
+
+const LANGUAGE_ALIASES = {
+  javascript: "js", jsx: "js", mjs: "js", cjs: "js", node: "js",
+  typescript: "ts", tsx: "ts",
+  python: "py", python3: "py",
+  rs: "rust", golang: "go", h: "c",
+  "c++": "cpp", cc: "cpp", hpp: "cpp", cxx: "cpp",
+  kotlin: "java", kt: "java", scala: "java", swift: "java", dart: "java",
+  csharp: "cs", "c#": "cs",
+  rb: "ruby",
+  bash: "sh", shell: "sh", zsh: "sh", console: "sh", shellscript: "sh", powershell: "sh", ps1: "sh",
+  postgres: "sql", postgresql: "sql", mysql: "sql", sqlite: "sql",
+  jsonc: "json", json5: "json",
+  yml: "yaml", ini: "toml",
+  scss: "css", less: "css",
+  xml: "html", svg: "html", vue: "html", svelte: "html",
+  patch: "diff",
+};
+
+const languageSets = new Map();
+
+/** The language spec for a fence tag, with keyword strings turned into sets. */
+function languageSpec(tag) {
+  const name = LANGUAGE_ALIASES[tag.toLowerCase()] || tag.toLowerCase();
+  const spec = LANGUAGES[name];
+  if (!spec) return null;
+  if (!languageSets.has(name)) {
+    const words = (s) => new Set((s || "").split(" ").filter(Boolean).map((w) => (spec.ignoreCase ? w.toLowerCase() : w)));
+    languageSets.set(name, { ...spec, keywords: words(spec.keywords), literals: words(spec.literals) });
+  }
+  return languageSets.get(name);
+}
+
+function highlightMarkup(line, hl) {
+  let out = "";
+  let rest = line;
+  if (hl.open) {
+    const end = rest.indexOf("-->");
+    if (end === -1) return HL.comment(rest);
+    out += HL.comment(rest.slice(0, end + 3));
+    rest = rest.slice(end + 3);
+    hl.open = null;
+  }
+  const start = rest.indexOf("<!--");
+  if (start !== -1 && rest.indexOf("-->", start) === -1) {
+    hl.open = { close: "-->", style: HL.comment };
+    return out + highlightMarkup(rest.slice(0, start), {}) + HL.comment(rest.slice(start));
+  }
+  return out + rest
+    .replace(/<!--.*?-->/g, (c) => HL.comment(c))
+    .replace(/(<\/?)([\w:-]+)([^>]*?)(\/?>|$)/g, (_, open, tag, attrs, close) =>
+      HL.type(open + tag) + attrs.replace(/([\w:@-]+)(=)("[^"]*"|'[^']*')?/g, (__, name, eq, val) => HL.literal(name) + eq + (val ? HL.string(val) : "")) + HL.type(close));
+}
+
+/**
+ * Color one line of code. `hl` carries an open block comment or multi-line
+ * string from the previous line ({ open: { close, style } }).
+ */
+function highlightCode(line, spec, hl) {
+  if (!spec) return line;
+  if (spec.diff) {
+    if (/^(\+\+\+|---)/.test(line)) return chalk.bold(line);
+    if (line.startsWith("+")) return chalk.green(line);
+    if (line.startsWith("-")) return chalk.red(line);
+    if (line.startsWith("@@")) return chalk.cyan(line);
+    return line;
+  }
+  if (spec.markup) return highlightMarkup(line, hl);
+
+  let out = "";
+  let i = 0;
+  if (hl.open) {
+    const end = line.indexOf(hl.open.close);
+    if (end === -1) return hl.open.style(line);
+    out += hl.open.style(line.slice(0, end + hl.open.close.length));
+    i = end + hl.open.close.length;
+    hl.open = null;
+  } else if (spec.keyPattern) {
+    const key = line.match(spec.keyPattern);
+    if (key) {
+      out += key[1] + HL.type(key[2]) + key[3];
+      i = key[0].length;
+    }
+  }
+
+  while (i < line.length) {
+    const rest = line.slice(i);
+    const multi = spec.multi?.find(([open]) => rest.startsWith(open));
+    if (multi) {
+      const [open, close, style] = multi;
+      const end = rest.indexOf(close, open.length);
+      if (end === -1) {
+        hl.open = { close, style };
+        return out + style(rest);
+      }
+      out += style(rest.slice(0, end + close.length));
+      i += end + close.length;
+      continue;
+    }
+    if (spec.comment && rest.startsWith(spec.comment) && (spec.comment !== "#" || i === 0 || /\s/.test(line[i - 1]))) {
+      return out + HL.comment(rest);
+    }
+    if (spec.quotes?.includes(rest[0])) {
+      let j = 1;
+      while (j < rest.length && rest[j] !== rest[0]) j += rest[j] === "\\" ? 2 : 1;
+      const str = rest.slice(0, j + 1);
+      out += (spec.keys && /^\s*:/.test(rest.slice(j + 1)) ? HL.type : HL.string)(str);
+      i += str.length;
+      continue;
+    }
+    if (spec.vars && rest[0] === "$") {
+      const v = rest.match(/^\$(\{[^}]*\}|[\w@#?*!$-]|\w+)/);
+      if (v) {
+        out += HL.type(v[0]);
+        i += v[0].length;
+        continue;
       }
+    }
+    const prev = i > 0 ? line[i - 1] : "";
+    const num = /[\w$]/.test(prev) ? null : rest.match(/^(0x[\da-f]+|\d[\d_]*(\.\d+)?(e[+-]?\d+)?)\b/i);
+    if (num) {
+      out += HL.literal(num[0]);
+      i += num[0].length;
+      continue;
+    }
+    const word = /[\w$]/.test(prev) ? null : rest.match(/^[A-Za-z_$][\w$]*\??/);
+    if (word) {
+      let w = word[0];
+      if (w.endsWith("?") && !spec.keywords.has(w)) w = w.slice(0, -1);
+      const key = spec.ignoreCase ? w.toLowerCase() : w;
+      const style = spec.keywords.has(key) ? HL.keyword
+        : spec.literals.has(key) ? HL.literal
+        : /^\s*\(/.test(rest.slice(w.length)) ? HL.fn
+        : spec.types && /^[A-Z][a-z]/.test(w) ? HL.type
+        : null;
+      out += style ? style(w) : w;
+      i += w.length;
+      continue;
+    }
+    out += rest[0];
+    i++;
+  }
+  return out;
+}
 
-      // Backspace
-      if (code === 127 || code === 8) {
-        if (filter.length > 0) {
-          filter = filter.slice(0, -1);
-          updateFilter();
-          render(true);
-        } else {
-          cleanup();
-          resolve(null);
-        }
-        return;
+// ── Block rendering ──
+
+const BULLETS = ["•", "◦", "▪"];
+
+function renderTable(rows, width) {
+  const split = (row) => row.trim().replace(/^\|/, "").replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/).map((c) => c.trim().replace(/\\\|/g, "|"));
+  const parsed = rows.map(split);
+  let align = [];
+  let hasHeader = false;
+  if (parsed.length > 1 && parsed[1].every((c) => /^:?-+:?$/.test(c))) {
+    align = parsed[1].map((c) => (c.endsWith(":") ? (c.startsWith(":") ? "center" : "right") : "left"));
+    parsed.splice(1, 1);
+    hasHeader = true;
+  }
+  const cols = Math.max(...parsed.map((r) => r.length));
+  const cells = parsed.map((r, ri) => Array.from({ length: cols }, (_, i) =>
+    parseInline(r[i] || "", hasHeader && ri === 0 ? chalk.bold : null)));
+
+  // Natural widths, then shave the widest column until the table fits
+  const widths = Array.from({ length: cols }, (_, i) => Math.max(1, ...cells.map((r) => displayWidth(plainText(r[i])))));
+  const available = width - (cols * 3 + 1);
+  while (widths.reduce((a, b) => a + b, 0) > available) {
+    const widest = widths.indexOf(Math.max(...widths));
+    if (widths[widest] <= 3) break;
+    widths[widest]--;
+  }
+
+  const rule = (l, m, r) => chalk.dim(l + widths.map((w) => "─".repeat(w + 2)).join(m) + r);
+  const pad = (text, w, how) => {
+    const gap = Math.max(0, w - displayWidth(text));
+    if (how === "right") return " ".repeat(gap) + text;
+    if (how === "center") return " ".repeat(Math.floor(gap / 2)) + text + " ".repeat(Math.ceil(gap / 2));
+    return text + " ".repeat(gap);
+  };
+  const lines = [rule("┌", "┬", "┐")];
+  cells.forEach((row, ri) => {
+    const wrapped = row.map((c, i) => wrapSegments(c, widths[i]));
+    const height = Math.max(...wrapped.map((w) => w.length));
+    for (let k = 0; k < height; k++) {
+      const parts = wrapped.map((w, i) => pad(w[k] || "", widths[i], align[i]));
+      lines.push(chalk.dim("│ ") + parts.join(chalk.dim(" │ ")) + chalk.dim(" │"));
+    }
+    if (hasHeader && ri === 0 && cells.length > 1) lines.push(rule("├", "┼", "┤"));
+  });
+  lines.push(rule("└", "┴", "┘"));
+  return lines;
+}
+
+function isTableRow(line) {
+  return /^\s*\|/.test(line);
+}
+
+/**
+ * Line-at-a-time markdown renderer. line() renders a finished source line
+ * (tables are held until they end), preview() renders an unfinished one
+ * without changing state, flush() closes whatever is still open.
+ * Output lines include the margin and fit markdownWidth().
+ */
+function createMarkdownRenderer() {
+  let state = { fence: null, table: [], blank: true };
+
+  function render(line, st) {
+    const width = markdownWidth();
+    const out = [];
+    line = line.replace(/\r$/, "");
+
+    if (st.fence) {
+      const close = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === st.fence.marker[0] && close[1].length >= st.fence.marker.length) {
+        st.fence = null;
+        st.blank = false;
+        return [MD_INDENT + chalk.dim("└─")];
       }
+      return [MD_INDENT + chalk.dim("│ ") + highlightCode(line.replace(/\t/g, "  "), st.fence.spec, st.fence.hl)];
+    }
 
-      // Arrow keys
-      if (code === 27 && data.length >= 3) {
-        if (data[2] === 65) selected = Math.max(0, selected - 1);           // Up
-        if (data[2] === 66) selected = Math.min(filtered.length - 1, selected + 1); // Down
-        render(true);
-        return;
+    if (st.table.length > 0 && !isTableRow(line)) {
+      out.push(...renderTable(st.table, width).map((l) => MD_INDENT + l));
+      st.table = [];
+    }
+    if (isTableRow(line)) {
+      st.table.push(line);
+      st.blank = false;
+      return out;
+    }
+
+    const fence = line.match(/^\s*(`{3,}|~{3,})\s*([^\s`]*)/);
+    if (fence) {
+      st.fence = { marker: fence[1], spec: languageSpec(fence[2] || ""), hl: {} };
+      st.blank = false;
+      return [...out, MD_INDENT + chalk.dim(`┌─ ${fence[2] || "code"}`)];
+    }
+
+    if (!line.trim()) {
+      // Collapse runs of blank lines
+      if (!st.blank) out.push("");
+      st.blank = true;
+      return out;
+    }
+    st.blank = false;
+
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      const level = heading[1].length;
+      const style = level === 1 ? chalk.bold.cyan.underline : level === 2 ? chalk.bold.cyan : chalk.bold;
+      return [...out, ...wrapSegments(parseInline(heading[2], style), width).map((l) => MD_INDENT + l)];
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      return [...out, MD_INDENT + chalk.dim("─".repeat(Math.min(width, 60)))];
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      const bar = chalk.dim("│ ");
+      return [...out, ...wrapSegments(parseInline(quote[1], chalk.italic), width - 2).map((l) => MD_INDENT + bar + l)];
+    }
+
+    const item = line.match(/^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/);
+    if (item) {
+      const depth = Math.floor(item[1].replace(/\t/g, "  ").length / 2);
+      let text = item[3];
+      let marker = /\d/.test(item[2]) ? item[2] : BULLETS[depth % BULLETS.length];
+      let markerStyle = chalk.cyan;
+      const task = text.match(/^\[([ xX])\]\s+(.*)$/);
+      if (task) {
+        marker = task[1] === " " ? "☐" : "☑";
+        markerStyle = task[1] === " " ? chalk.dim : chalk.green;
+        text = task[2];
       }
+      const lead = "  ".repeat(depth);
+      const hang = " ".repeat(displayWidth(marker) + 1);
+      return [...out, ...wrapSegments(parseInline(text), width - lead.length - hang.length)
+        .map((l, k) => MD_INDENT + lead + (k === 0 ? markerStyle(marker) + " " : hang) + l)];
+    }
 
-      // Printable char
-      if (code >= 32 && code < 127) {
-        filter += data.toString();
-        updateFilter();
-        render(true);
-        return;
+    // Paragraph text; keep a little of its own indentation
+    const lead = " ".repeat(Math.min(line.match(/^\s*/)[0].replace(/\t/g, "  ").length, 8));
+    return [...out, ...wrapSegments(parseInline(line.trim()), width - lead.length).map((l) => MD_INDENT + lead + l)];
+  }
+
+  function clone(st) {
+    return { ...st, table: [...st.table], fence: st.fence && { ...st.fence, hl: { ...st.fence.hl } } };
+  }
+
+  return {
+    line: (text) => render(text, state),
+    preview(text) {
+      // A half-typed table row would only be thrown away
+      if (isTableRow(text) && !state.fence) return [];
+      return render(text, clone(state));
+    },
+    flush() {
+      const out = [];
+      if (state.table.length > 0) out.push(...renderTable(state.table, markdownWidth()).map((l) => MD_INDENT + l));
+      if (state.fence) out.push(MD_INDENT + chalk.dim("└─"));
+      state = { fence: null, table: [], blank: true };
+      return out;
+    },
+  };
+}
+
+/**
+ * Render streamed markdown to the terminal. Finished lines are printed for
+ * good; the unfinished last line is drawn as a preview and redrawn on each
+ * chunk until its newline arrives.
+ */
+function createMarkdownStream(out = process.stdout) {
+  const renderer = createMarkdownRenderer();
+  let buffer = "";
+  let previewRows = 0;
+
+  function clearPreview() {
+    if (previewRows === 0) return;
+    out.write("\r" + (previewRows > 1 ? `\x1b[${previewRows - 1}A` : "") + "\x1b[J");
+    previewRows = 0;
+  }
+
+  function write(chunk) {
+    buffer += chunk;
+    const nl = buffer.lastIndexOf("\n");
+    const lines = [];
+    if (nl !== -1) {
+      for (const line of buffer.slice(0, nl).split("\n")) lines.push(...renderer.line(line));
+      buffer = buffer.slice(nl + 1);
+    }
+    const preview = buffer ? renderer.preview(buffer) : [];
+    clearPreview();
+    for (const line of lines) out.write(line + "\n");
+    if (preview.length > 0) {
+      out.write(preview.join("\n"));
+      const cols = out.columns || 80;
+      previewRows = preview.reduce((n, l) => n + Math.max(1, Math.ceil(displayWidth(l) / cols)), 0);
+    }
+  }
+
+  function end() {
+    clearPreview();
+    const lines = buffer ? renderer.line(buffer) : [];
+    buffer = "";
+    for (const line of [...lines, ...renderer.flush()]) out.write(line + "\n");
+  }
+
+  return { write, end };
+}
+
+// ─── Streaming (SSE) ────────────────────────────────────────────────────────
+
+/**
+ * Incremental printer for streamed assistant text.
+ * Hides <think>...</think> blocks even when a tag is split across chunks,
+ * and prints the "Chalk:" label right before the first visible text. On a
+ * terminal the text is rendered as markdown; piped output stays raw.
+ */
+function createStreamPrinter(label = "Chalk") {
+  let inThink = false;
+  let pending = "";
+  let started = false;
+  let visible = "";
+  const markdown = !headless.enabled && process.stdout.isTTY ? createMarkdownStream() : null;
+
+  function emit(text) {
+    if (!started) {
+      text = text.replace(/^\s+/, "");
+      if (!text) return;
+      if (!headless.enabled) process.stdout.write(chalk.green.bold(markdown ? `\n${label}:\n` : `\n${label}: `));
+      started = true;
+    }
+    visible += text;
+    if (markdown) markdown.write(text);
+    else if (!headless.enabled) process.stdout.write(text);
+  }
+
+  function write(chunk) {
+    pending += chunk;
+    while (pending) {
+      const tag = inThink ? "</think>" : "<think>";
+      const idx = pending.indexOf(tag);
+      if (idx !== -1) {
+        if (!inThink) emit(pending.slice(0, idx));
+        pending = pending.slice(idx + tag.length);
+        inThink = !inThink;
+        continue;
+      }
+      // Hold back a possible partial tag at the end of the buffer
+      let keep = 0;
+      for (let n = Math.min(tag.length - 1, pending.length); n > 0; n--) {
+        if (tag.startsWith(pending.slice(-n))) { keep = n; break; }
       }
+      if (!inThink) emit(pending.slice(0, pending.length - keep));
+      pending = pending.slice(pending.length - keep);
+      break;
     }
+  }
 
-    render(false);
-    process.stdin.on("data", onKey);
-  });
-}
-
-// ─── Panel UI (Chalk's own design: sidebar accent, step indicators) ─────────
+  function end() {
+    if (!inThink && pending) emit(pending);
+    pending = "";
+    if (markdown) markdown.end();
+    else if (started && !headless.enabled) process.stdout.write("\n");
+    return visible.trim();
+  }
 
-const BAR = chalk.cyan("  ::  ");
-const BAR_DIM = chalk.dim("  ::  ");
-const DIVIDER = chalk.dim("  ::  " + "~".repeat(58));
+  return { write, end };
+}
 
 /**
- * Raw-mode list picker with Chalk's sidebar style.
- * Returns selected index or -1 on Esc.
+ * POST a chat completion with `stream: true` and assemble the SSE deltas.
+ * Text is handed to onText as it arrives; tool_call argument fragments are
+ * concatenated per index. Usage comes from the final chunk. The provider
+ * (see resolveProvider) decides the URL, headers and wire format.
  */
-function panelSelect(heading, hint, items, step) {
-  return new Promise((resolve) => {
-    let sel = 0;
+async function streamCompletion(config, body, { onText, onToolCall } = {}) {
+  // The timeout is an idle timeout: it re-arms on every chunk, so long
+  // answers that keep streaming are never cut off.
+  const controller = new AbortController();
+  let timer;
+  const arm = () => {
+    clearTimeout(timer);
+    timer = setTimeout(
+      () => controller.abort(new DOMException("Request timed out.", "TimeoutError")),
+      config.requestTimeout || DEFAULT_REQUEST_TIMEOUT_MS
+    );
+  };
+  arm();
 
-    if (!process.stdin.isTTY) { resolve(0); return; }
-    const wasRaw = process.stdin.isRaw;
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
+  try {
+    return await readCompletionStream(config, body, controller.signal, arm, { onText, onToolCall });
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    function render(clear) {
-      const lines = items.length + 5 + (step ? 1 : 0);
-      if (clear) process.stdout.write(`\x1b[${lines}A\x1b[J`);
+async function readCompletionStream(config, body, signal, onChunk, handlers) {
+  const provider = resolveProvider(config, body.model);
+  const request = provider.format === "anthropic" ? anthropicRequest(provider, body) : openAIRequest(provider, body);
+  const res = await fetch(request.url, {
+    method: "POST",
+    headers: request.headers,
+    body: JSON.stringify(request.body),
+    signal,
+  });
 
-      if (step) console.log(BAR_DIM + chalk.dim(`step ${step}`));
-      console.log(BAR + chalk.bold.white(heading));
-      console.log(BAR_DIM + chalk.dim(hint));
-      console.log(DIVIDER);
-      for (let i = 0; i < items.length; i++) {
-        if (i === sel) {
-          console.log(BAR + chalk.cyan(">> ") + chalk.white.bold(items[i]));
-        } else {
-          console.log(BAR_DIM + chalk.dim("   " + items[i]));
-        }
-      }
-      console.log(DIVIDER);
-      console.log(chalk.dim("      arrows move  |  enter picks  |  esc backs out"));
-    }
+  if (!res.ok) {
+    const errText = await res.text().catch(() => "");
+    const err = new Error(`API ${res.status}: ${errText}`);
+    err.status = res.status;
+    err.retryAfter = parseRetryAfter(res.headers.get("retry-after"));
+    throw err;
+  }
 
-    function cleanup() {
-      process.stdin.removeListener("data", onKey);
-      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
+  const parser = provider.format === "anthropic" ? anthropicStreamParser(handlers) : openAIStreamParser(handlers);
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let finished = false;
+  for await (const chunk of res.body) {
+    onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while (!finished && (nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      finished = parser.handleLine(line);
     }
+    if (finished) break;
+  }
+  if (!finished && buffer.trim()) parser.handleLine(buffer.trim());
+  return parser.result();
+}
 
-    function onKey(data) {
-      const code = data[0];
-      if ((code === 27 && data.length === 1) || code === 3) { cleanup(); resolve(-1); return; }
-      if (code === 13) { cleanup(); resolve(sel); return; }
-      if (code === 27 && data.length >= 3) {
-        if (data[2] === 65) sel = Math.max(0, sel - 1);
-        if (data[2] === 66) sel = Math.min(items.length - 1, sel + 1);
-        render(true);
+/** Shared accumulator for streamed text and tool calls, whatever the wire format. */
+function createStreamAccumulator({ onText, onToolCall }) {
+  const toolCalls = [];
+  const acc = {
+    content: "",
+    finishReason: null,
+    usage: null,
+    received: false,
+    text(delta) {
+      acc.content += delta;
+      onText?.(delta);
+    },
+    toolCall(i, { id, name, args }) {
+      if (!toolCalls[i]) toolCalls[i] = { id: "", type: "function", function: { name: "", arguments: "" } };
+      const slot = toolCalls[i];
+      if (id) slot.id = id;
+      if (name) {
+        slot.function.name += name;
+        onToolCall?.(slot.function.name);
       }
+      if (args) slot.function.arguments += args;
+    },
+    result() {
+      if (!acc.received) throw new Error("Empty response stream.");
+      const calls = toolCalls.filter(Boolean).map((tc, i) => ({ ...tc, id: tc.id || `call_${i}` }));
+      return {
+        message: { content: acc.content, tool_calls: calls.length > 0 ? calls : undefined },
+        finishReason: acc.finishReason,
+        usage: acc.usage,
+      };
+    },
+  };
+  return acc;
+}
+
+/** Parse an OpenAI-style SSE line; returns true at [DONE]. */
+function openAIStreamParser(handlers) {
+  const acc = createStreamAccumulator(handlers);
+
+  function handleLine(line) {
+    // SSE comments (": OPENROUTER PROCESSING") and blank keep-alives
+    if (!line.startsWith("data:")) return false;
+    const payload = line.slice(5).trim();
+    if (payload === "[DONE]") return true;
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch {
+      return false;
     }
+    if (data.error) {
+      const err = new Error(`API error: ${data.error.message || JSON.stringify(data.error)}`);
+      err.status = Number(data.error.code) || undefined;
+      throw err;
+    }
+    acc.received = true;
+    if (data.usage) acc.usage = data.usage;
 
-    render(false);
-    process.stdin.on("data", onKey);
-  });
+    const choice = data.choices?.[0];
+    if (!choice) return false;
+    const delta = choice.delta || {};
+
+    if (delta.content) acc.text(delta.content);
+    for (const tc of delta.tool_calls || []) {
+      acc.toolCall(tc.index ?? 0, { id: tc.id, name: tc.function?.name, args: tc.function?.arguments });
+    }
+    if (choice.finish_reason) acc.finishReason = choice.finish_reason;
+    return false;
+  }
+
+  return { handleLine, result: acc.result };
 }
 
-/**
- * Raw-mode text input with sidebar style.
- * Returns string or null on Esc.
- */
-function panelInput(heading, hint, placeholder, step) {
-  return new Promise((resolve) => {
-    let buf = "";
+// ─── API Resilience: Retry, Backoff, Fallback Models ────────────────────────
 
-    if (!process.stdin.isTTY) { resolve(null); return; }
-    const wasRaw = process.stdin.isRaw;
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
+/** Retry-After is either delta-seconds or an HTTP date. Returns ms or null. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-    function render(clear) {
-      const lines = 6 + (step ? 1 : 0);
-      if (clear) process.stdout.write(`\x1b[${lines}A\x1b[J`);
+function isRetryableError(err) {
+  if (err.status) return err.status === 408 || err.status === 429 || err.status >= 500;
+  // No status: timeout, DNS failure, reset connection, truncated stream
+  return err.name === "TimeoutError" || err.name === "TypeError" || err.message === "Empty response stream.";
+}
 
-      if (step) console.log(BAR_DIM + chalk.dim(`step ${step}`));
-      console.log(BAR + chalk.bold.white(heading));
-      console.log(BAR_DIM + chalk.dim(hint));
-      console.log(DIVIDER);
-      console.log(BAR + (buf ? chalk.white(buf) : chalk.dim(placeholder || "type here...")));
-      console.log(DIVIDER);
-      console.log(chalk.dim("      enter submits  |  esc backs out"));
-    }
+/** Rate-limited or unavailable: worth trying the next model in the fallback list. */
+function shouldFallback(err) {
+  return isRetryableError(err) || err.status === 404;
+}
 
-    function cleanup() {
-      process.stdin.removeListener("data", onKey);
-      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
-    }
+function backoffDelay(attempt, retryAfter) {
+  if (retryAfter != null) return Math.min(retryAfter, RETRY_MAX_MS * 4);
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt);
+  // "Equal jitter": half fixed, half random, so retries from several clients spread out
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
 
-    function onKey(data) {
-      const code = data[0];
-      if ((code === 27 && data.length === 1) || code === 3) { cleanup(); resolve(null); return; }
-      if (code === 13) { cleanup(); resolve(buf); return; }
-      if (code === 127 || code === 8) { if (buf.length > 0) { buf = buf.slice(0, -1); render(true); } return; }
-      if (code >= 32 && code < 127) { buf += data.toString(); render(true); }
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * streamCompletion() wrapped in retries with exponential backoff, then an
+ * ordered walk through config.fallbackModels. onRetry({ model, attempt,
+ * delay, error, fallback }) fires before every wait or model switch.
+ * Resolves with the response plus the model that actually answered.
+ * Every billed request goes through here, so this is where budgets stop them
+ * (the error has `budget: true`).
+ */
+async function completeWithRetry(config, body, handlers = {}) {
+  const overBudget = checkBudget(config);
+  if (overBudget) {
+    const err = new Error(overBudget);
+    err.budget = true;
+    throw err;
+  }
+  const models = [body.model, ...(config.fallbackModels || []).filter((m) => m !== body.model)];
+  const maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+  let lastErr;
+
+  for (let m = 0; m < models.length; m++) {
+    const model = models[m];
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const response = await streamCompletion(config, { ...body, model }, handlers);
+        return { ...response, model };
+      } catch (err) {
+        lastErr = err;
+        if (!isRetryableError(err) || attempt === maxRetries) break;
+        const delay = backoffDelay(attempt, err.retryAfter);
+        handlers.onRetry?.({ model, attempt: attempt + 1, delay, error: err, fallback: null });
+        await sleep(delay);
+      }
     }
+    if (!shouldFallback(lastErr) || m === models.length - 1) break;
+    handlers.onRetry?.({ model, attempt: 0, delay: 0, error: lastErr, fallback: models[m + 1] });
+  }
+  throw lastErr;
+}
 
-    render(false);
-    process.stdin.on("data", onKey);
-  });
+// ─── Transcript: History Sent to the Model ──────────────────────────────────
+
+// Older tool outputs beyond this budget are cut down before being re-sent
+const TOOL_HISTORY_BUDGET_TOKENS = 12_000;
+const TRIMMED_PREVIEW_CHARS = 400;
+
+/** Rough token estimate (~4 chars per token), good enough for budgeting. */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
 }
 
-// ─── Agents System ──────────────────────────────────────────────────────────
+/** Only the fields the chat completions API understands. */
+function toApiMessage(m) {
+  const msg = { role: m.role, content: m.content ?? null };
+  if (m.tool_calls) msg.tool_calls = m.tool_calls;
+  if (m.tool_call_id) msg.tool_call_id = m.tool_call_id;
+  return msg;
+}
 
-const AGENTS_DIR_PROJECT = path.join(process.cwd(), ".chalk", "agents");
-const AGENTS_DIR_PERSONAL = path.join(CHALK_HOME, "agents");
+function trimText(text, label) {
+  return `${text.slice(0, TRIMMED_PREVIEW_CHARS)}\n... [${label}: ${text.length - TRIMMED_PREVIEW_CHARS} more chars trimmed]`;
+}
 
-const BUILTIN_AGENTS = [
-  { name: "Tool Runner",       tag: "core",   desc: "Executes shell commands in the user's terminal" },
-  { name: "File Editor",       tag: "core",   desc: "Creates and modifies files in the workspace" },
-  { name: "Code Reviewer",     tag: "quality", desc: "Analyzes code for bugs, style, and best practices" },
-  { name: "Security Auditor",  tag: "quality", desc: "Scans for vulnerabilities and insecure patterns" },
-  { name: "Architect",         tag: "design", desc: "Plans project structure and technical decisions" },
-];
+/** Shrink long string arguments (e.g. tool_edit content) of an old tool call. */
+function trimToolCallArgs(tc) {
+  let args;
+  try {
+    args = JSON.parse(tc.function.arguments || "{}");
+  } catch {
+    return tc;
+  }
+  for (const [key, value] of Object.entries(args)) {
+    if (typeof value === "string" && value.length > TRIMMED_PREVIEW_CHARS * 2) args[key] = trimText(value, "old argument");
+  }
+  return { ...tc, function: { ...tc.function, arguments: JSON.stringify(args) } };
+}
 
-function loadCustomAgents() {
-  const agents = [];
-  for (const dir of [AGENTS_DIR_PROJECT, AGENTS_DIR_PERSONAL]) {
-    if (!fs.existsSync(dir)) continue;
-    try {
-      for (const file of fs.readdirSync(dir).filter((f) => f.endsWith(".json"))) {
-        try {
-          const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
-          agents.push({ ...data, location: dir === AGENTS_DIR_PROJECT ? "project" : "personal" });
-        } catch { /* skip */ }
+/**
+ * Walk history newest-first. Tool outputs and tool-call arguments are kept
+ * verbatim until TOOL_HISTORY_BUDGET_TOKENS is spent; anything older is
+ * reduced to a short preview. User and assistant text is never touched.
+ */
+function trimHistory(messages) {
+  let spent = 0;
+  const out = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const m = toApiMessage(messages[i]);
+    if (m.role === "tool" && typeof m.content === "string") {
+      spent += estimateTokens(m.content);
+      if (spent > TOOL_HISTORY_BUDGET_TOKENS && m.content.length > TRIMMED_PREVIEW_CHARS * 2) {
+        m.content = trimText(m.content, "old tool output");
       }
-    } catch { /* skip */ }
+    } else if (m.tool_calls) {
+      spent += estimateTokens(m.tool_calls.map((tc) => tc.function.arguments).join(""));
+      if (spent > TOOL_HISTORY_BUDGET_TOKENS) m.tool_calls = m.tool_calls.map(trimToolCallArgs);
+    }
+    out.push(m);
   }
-  return agents;
+  return out.reverse();
 }
 
-function saveAgent(agent, location) {
-  const dir = location === "project" ? AGENTS_DIR_PROJECT : AGENTS_DIR_PERSONAL;
-  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-  const filename = agent.name.toLowerCase().replace(/\s+/g, "-") + ".json";
-  fs.writeFileSync(path.join(dir, filename), JSON.stringify(agent, null, 2), "utf-8");
+// ─── Compaction: Summarizing Older History ──────────────────────────────────
+
+const DEFAULT_CONTEXT_TOKENS = 128_000;
+// Compact automatically once a request would fill this share of the window
+const AUTO_COMPACT_RATIO = 0.8;
+// Recent prompts (with their tool calls and answers) kept word for word
+const COMPACT_KEEP_TURNS = 2;
+const COMPACT_NOTE = "[Chalk note] The earlier part of this conversation was compacted. Summary:";
+
+const COMPACT_PROMPT = [
+  "You compress the history of a coding-assistant conversation so the work can continue without it.",
+  "Write a Markdown summary with exactly these sections:",
+  "## Goal: what the user is trying to achieve overall",
+  "## Decisions: choices made and constraints the user stated, with the reasons",
+  "## Files changed: every file created or edited, one line each on what changed",
+  "## Open tasks: anything unfinished, failing, or promised as a next step",
+  "## Key facts: names, commands, error messages, paths and snippets that are still needed",
+  "Be specific and terse. Don't add anything that isn't in the transcript.",
+].join("\n");
+
+/** Prompts the user typed, as opposed to tool traffic and Chalk's own notes. */
+function isUserPrompt(m) {
+  return m.role === "user" && typeof m.content === "string" && !m.content.startsWith("[Chalk note]");
 }
 
-async function showAgentsDialog() {
-  const custom = loadCustomAgents();
+/** Tokens the next request would send: system prompt, tool schemas and trimmed history. */
+function estimateContextTokens(systemPrompt, messages) {
+  return estimateTokens(systemPrompt) +
+    estimateTokens(JSON.stringify(allToolDefinitions())) +
+    estimateTokens(JSON.stringify(trimHistory(messages)));
+}
 
-  // ── Dashboard view ──
-  console.log("");
-  console.log(BAR + chalk.bold.cyan("Agent Hub"));
-  console.log(DIVIDER);
-  console.log("");
+/**
+ * Where the verbatim tail starts: at the keepTurns-th prompt from the end,
+ * so it never opens with a tool result whose call was summarized away.
+ */
+function compactionCut(messages, keepTurns) {
+  if (keepTurns <= 0) return messages.length;
+  const prompts = messages.map((m, i) => (isUserPrompt(m) ? i : -1)).filter((i) => i !== -1);
+  return prompts.length >= keepTurns ? prompts[prompts.length - keepTurns] : 0;
+}
+
+/** Anything besides a previous summary? */
+function worthCompacting(older) {
+  return older.length > 1 || (older.length === 1 && !older[0].content?.startsWith(COMPACT_NOTE));
+}
 
-  // Custom agents
-  if (custom.length > 0) {
-    console.log(BAR + chalk.white("Your Agents:"));
-    for (const a of custom) {
-      const loc = a.location === "project" ? chalk.blue("[project]") : chalk.magenta("[personal]");
-      console.log(BAR_DIM + `  ${chalk.white(a.name)}  ${loc}  ${chalk.dim(a.description || "")}`);
+/** Plain-text transcript for the summarizer; long tool traffic is cut to a preview. */
+function transcriptForSummary(messages) {
+  return messages.map((m) => {
+    if (m.role === "tool") {
+      const out = m.content || "";
+      return `[tool result]\n${out.length > TRIMMED_PREVIEW_CHARS * 2 ? trimText(out, "tool output") : out}`;
     }
-    console.log("");
-  } else {
-    console.log(BAR_DIM + chalk.dim("No custom agents yet. Create one below."));
-    console.log("");
+    const parts = [];
+    if (m.content) parts.push(`[${m.role}${m.agent ? ` to @${m.agent}` : ""}]\n${m.content}`);
+    for (const tc of m.tool_calls || []) parts.push(`[tool call] ${tc.function.name} ${trimToolCallArgs(tc).function.arguments}`);
+    return parts.join("\n");
+  }).join("\n\n");
+}
+
+async function summarizeHistory(config, messages, focus, files) {
+  // Leave room for the instructions and the answer
+  const maxChars = Math.floor(config.contextTokens * 0.6) * 4;
+  let transcript = transcriptForSummary(messages);
+  if (transcript.length > maxChars) transcript = "[... oldest part cut ...]\n" + transcript.slice(-maxChars);
+
+  const parts = [`Conversation to summarize:\n\n${transcript}`];
+  if (files.length > 0) parts.push(`Files Chalk wrote during this part: ${files.join(", ")}`);
+  if (focus) parts.push(`The user wants the summary to focus on: ${focus}`);
+
+  const { message, usage, model } = await completeWithRetry(config, {
+    model: config.model,
+    messages: [
+      { role: "system", content: COMPACT_PROMPT },
+      { role: "user", content: parts.join("\n\n") },
+    ],
+    temperature: 0.2,
+    max_tokens: 2048,
+  });
+  if (usage) await recordUsage(config, model, usage);
+  return (message.content || "").replace(/<think>[\s\S]*?<\/think>/g, "").trim();
+}
+
+/**
+ * Replace everything before the last keepTurns prompts with a model-written
+ * summary. Returns { dropped, kept }, null when there's nothing worth
+ * compacting, or false when the summary request failed.
+ */
+async function compactConversation(ctx, config, { focus = "", keepTurns = COMPACT_KEEP_TURNS } = {}) {
+  const cut = compactionCut(ctx.messages, keepTurns);
+  const older = ctx.messages.slice(0, cut);
+  if (!worthCompacting(older)) return null;
+
+  const files = [...new Set(loadCheckpoints(ctx.sessionId).filter((e) => e.messageIndex < cut).map((e) => relPath(e.file)))];
+  const spinner = ora({ text: "Summarizing earlier conversation...", color: "cyan", isSilent: headless.enabled }).start();
+  let summary;
+  try {
+    summary = await summarizeHistory(config, older, focus, files);
+  } catch (err) {
+    spinner.fail(chalk.red(`Compaction failed: ${err.message}. Nothing was removed.`));
+    return false;
+  }
+  if (!summary) {
+    spinner.fail(chalk.red("Compaction failed: the model returned an empty summary. Nothing was removed."));
+    return false;
   }
+  spinner.stop();
 
-  // Built-in agents
-  console.log(BAR + chalk.white("Built-in Agents:"));
-  for (const a of BUILTIN_AGENTS) {
-    const tagColor = a.tag === "core" ? chalk.green : a.tag === "quality" ? chalk.yellow : chalk.blue;
-    console.log(BAR_DIM + `  ${chalk.white(a.name.padEnd(20))} ${tagColor(a.tag.padEnd(9))} ${chalk.dim(a.desc)}`);
+  ctx.title = sessionTitle(ctx);
+  ctx.messages = [{ role: "user", content: `${COMPACT_NOTE}\n\n${summary}` }, ...ctx.messages.slice(cut)];
+  ctx.lastPromptTokens = 0;
+  shiftCheckpoints(ctx.sessionId, cut, 1);
+  return { dropped: older.length, kept: ctx.messages.length - 1 };
+}
+
+/** Compact before a turn when the next request would come close to the model's context length. */
+async function maybeAutoCompact(ctx, config, systemPrompt, nextPrompt) {
+  if (!config.autoCompact) return;
+  const limit = config.contextTokens * AUTO_COMPACT_RATIO;
+  const used = Math.max(estimateContextTokens(systemPrompt, ctx.messages) + estimateTokens(nextPrompt), ctx.lastPromptTokens);
+  if (used < limit) return;
+
+  // Keep as many recent turns as fit in half the budget
+  let keepTurns = COMPACT_KEEP_TURNS;
+  const tailTokens = (n) => estimateTokens(JSON.stringify(trimHistory(ctx.messages.slice(compactionCut(ctx.messages, n)))));
+  while (keepTurns > 0 && tailTokens(keepTurns) > limit / 2) keepTurns--;
+  if (!worthCompacting(ctx.messages.slice(0, compactionCut(ctx.messages, keepTurns)))) return;
+
+  const pct = Math.round((used / config.contextTokens) * 100);
+  console.log(chalk.dim(`  Context is ~${pct}% full (${used} of ${config.contextTokens} tokens); compacting older messages...`));
+  const done = await compactConversation(ctx, config, { keepTurns });
+  if (done) {
+    console.log(chalk.dim(`  Summarized ${done.dropped} messages; kept the last ${done.kept}.`));
+    saveSession(ctx, config.model);
   }
-  console.log("");
-  console.log(DIVIDER);
-  console.log(chalk.dim("      enter = new agent  |  esc = back"));
-  console.log("");
+}
 
-  // Wait for action
-  const action = await new Promise((resolve) => {
-    if (!process.stdin.isTTY) { resolve("esc"); return; }
-    const wasRaw = process.stdin.isRaw;
-    process.stdin.setRawMode(true);
-    process.stdin.resume();
-    function onKey(data) {
-      process.stdin.removeListener("data", onKey);
-      if (process.stdin.isTTY) process.stdin.setRawMode(wasRaw ?? false);
-      resolve(data[0] === 13 ? "enter" : "esc");
-    }
-    process.stdin.on("data", onKey);
+// ─── Usage, Pricing and Budgets (~/.chalk/logs/usage.jsonl) ─────────────────
+
+const USAGE_LEDGER = path.join(CHALK_HOME, "logs", "usage.jsonl");
+const MODEL_CATALOG = path.join(CHALK_HOME, "models.json");
+const CATALOG_TTL_MS = 24 * 60 * 60 * 1000;
+const CATALOG_TIMEOUT_MS = 10_000;
+// Warn once spending passes this share of a budget
+const BUDGET_WARN_RATIO = 0.8;
+
+let catalogCache = null;
+let catalogFetched = false;
+
+/** Cached /models response: { fetchedAt, models: [{ id, name, context_length, pricing, supported_parameters }] }. */
+function loadModelCatalog() {
+  if (catalogCache) return catalogCache;
+  try {
+    catalogCache = JSON.parse(fs.readFileSync(MODEL_CATALOG, "utf-8"));
+  } catch {
+    catalogCache = null;
+  }
+  return catalogCache;
+}
+
+async function fetchModelCatalog(config) {
+  const res = await fetch(`${config.baseUrl}/models`, {
+    headers: { Authorization: `Bearer ${config.apiKey}` },
+    signal: AbortSignal.timeout(CATALOG_TIMEOUT_MS),
   });
+  if (!res.ok) throw new Error(`GET /models failed with ${res.status}`);
+  const { data = [] } = await res.json();
+  catalogCache = {
+    fetchedAt: new Date().toISOString(),
+    models: data.map((m) => ({
+      id: m.id,
+      name: m.name,
+      context_length: m.context_length,
+      pricing: m.pricing ? { prompt: m.pricing.prompt, completion: m.pricing.completion } : null,
+      supported_parameters: m.supported_parameters || [],
+    })),
+  };
+  fs.writeFileSync(MODEL_CATALOG, JSON.stringify(catalogCache), "utf-8");
+  return catalogCache;
+}
 
-  if (action !== "enter") return;
+function catalogIsStale(catalog) {
+  return !catalog || Date.now() - Date.parse(catalog.fetchedAt) > CATALOG_TTL_MS;
+}
 
-  // ── Creation Wizard ──
-  console.log("");
-  console.log(BAR + chalk.bold.cyan("New Agent Wizard"));
-  console.log(DIVIDER);
-  console.log("");
+/**
+ * Dollars per million tokens for a model: "pricing" in settings.json wins
+ * ({ "model-id": { "input": 3, "output": 15 } }), then the /models catalog.
+ */
+function modelPricing(model) {
+  const custom = { ...readSettings(GLOBAL_SETTINGS).pricing, ...readSettings(PROJECT_SETTINGS).pricing }[model];
+  if (custom && Number.isFinite(Number(custom.input)) && Number.isFinite(Number(custom.output))) {
+    return { input: Number(custom.input), output: Number(custom.output) };
+  }
+  const pricing = loadModelCatalog()?.models?.find((m) => m.id === model)?.pricing;
+  const input = parseFloat(pricing?.prompt) * 1e6;
+  const output = parseFloat(pricing?.completion) * 1e6;
+  return Number.isFinite(input) && Number.isFinite(output) ? { input, output } : null;
+}
 
-  // Step 1: Where to save
-  const locIdx = await panelSelect(
-    "Where should this agent live?",
-    "Project agents are shared with your team. Personal agents follow you everywhere.",
-    [
-      "This project  (.chalk/agents/)",
-      "Personal      (~/.chalk/agents/)",
-    ],
-    "1/4"
-  );
-  if (locIdx === -1) return;
-  const location = locIdx === 0 ? "project" : "personal";
+/** Fetch the catalog at most once per run, when it's stale or doesn't know this model. */
+async function ensurePricing(config, model) {
+  if (catalogFetched) return;
+  const catalog = loadModelCatalog();
+  if (!catalogIsStale(catalog) && modelPricing(model)) return;
+  catalogFetched = true;
+  try {
+    await fetchModelCatalog(config);
+  } catch { /* costs show as n/a until the next successful fetch */ }
+}
 
-  // Step 2: How to create
-  console.log("");
-  const methodIdx = await panelSelect(
-    "How do you want to set it up?",
-    "Chalk can generate a system prompt from your description, or you write it yourself.",
-    [
-      "Describe it and let Chalk figure it out",
-      "I'll configure everything manually",
-    ],
-    "2/4"
-  );
-  if (methodIdx === -1) return;
+/** Dollars for one request, or null when the model's price is unknown. */
+function requestCost(model, usage) {
+  // OpenRouter reports the exact charge when usage accounting is on
+  if (typeof usage.cost === "number") return usage.cost;
+  const price = modelPricing(model);
+  if (!price) return null;
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
 
-  // Step 3: Description
-  console.log("");
-  const description = await panelInput(
-    "What should this agent do?",
-    "Be specific. This becomes the agent's mission.",
-    "e.g., Review my pull requests for performance issues...",
-    "3/4"
-  );
-  if (!description?.trim()) return;
+function formatCost(n) {
+  if (n === null || n === undefined) return "n/a";
+  return n > 0 && n < 1 ? `$${n.toFixed(4)}` : `$${n.toFixed(2)}`;
+}
+
+function localDay(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function readLedger() {
+  let text;
+  try {
+    text = fs.readFileSync(USAGE_LEDGER, "utf-8");
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch { /* skip a torn line */ }
+  }
+  return entries;
+}
 
-  // Step 4: Name
-  console.log("");
-  const agentName = await panelInput(
-    "Give it a name",
-    "Short and memorable. You'll use this to summon it.",
-    "e.g., Perf Reviewer",
-    "4/4"
-  );
-  if (!agentName?.trim()) return;
-
-  // Save
-  const agent = {
-    name: agentName.trim(),
-    description: description.trim(),
-    model: "inherit",
-    tools: ["tool_run", "tool_edit"],
-    createdAt: new Date().toISOString(),
+// Running totals for budget checks, rebuilt from the ledger when the day turns
+const spend = { day: null, today: 0, sessions: new Map(), warned: new Set() };
+
+function loadSpend() {
+  const day = localDay();
+  if (spend.day === day) return;
+  spend.day = day;
+  spend.today = 0;
+  spend.sessions.clear();
+  for (const e of readLedger()) {
+    if (localDay(new Date(e.at)) === day) spend.today += e.cost || 0;
+    if (e.session) spend.sessions.set(e.session, (spend.sessions.get(e.session) || 0) + (e.cost || 0));
+  }
+}
+
+function currentSpend(sessionId) {
+  loadSpend();
+  return { session: spend.sessions.get(sessionId) || 0, today: spend.today };
+}
+
+/** Append one request to the ledger and the running totals. */
+async function recordUsage(config, model, usage) {
+  const provider = resolveProvider(config, model).name;
+  // Only OpenRouter's catalog has prices; direct providers rely on "pricing" in settings.json
+  if (provider === "openrouter") await ensurePricing(config, model);
+  const entry = {
+    at: new Date().toISOString(),
+    session: checkpointState.sessionId,
+    project: process.cwd(),
+    model,
+    prompt_tokens: usage.prompt_tokens || 0,
+    completion_tokens: usage.completion_tokens || 0,
+    // Local models cost nothing
+    cost: provider === "ollama" ? 0 : requestCost(model, usage),
   };
-  saveAgent(agent, location);
+  if (entry.cost === null && !spend.warned.has(`unpriced:${model}`)) {
+    spend.warned.add(`unpriced:${model}`);
+    console.log(chalk.yellow(`  [budget] No pricing for ${model}; its requests count as $0 toward budgets. Add it under "pricing" in settings.json.`));
+  }
+  loadSpend();
+  spend.today += entry.cost || 0;
+  if (entry.session) spend.sessions.set(entry.session, (spend.sessions.get(entry.session) || 0) + (entry.cost || 0));
+  try {
+    fs.mkdirSync(path.dirname(USAGE_LEDGER), { recursive: true });
+    fs.appendFileSync(USAGE_LEDGER, JSON.stringify(entry) + "\n", "utf-8");
+  } catch { /* accounting must never break a turn */ }
+  return entry;
+}
 
-  // Confirmation
-  console.log("");
-  console.log(BAR + chalk.green.bold("Agent created"));
-  console.log(DIVIDER);
-  console.log(BAR_DIM + chalk.white("Name:  ") + agent.name);
-  console.log(BAR_DIM + chalk.white("Scope: ") + (location === "project" ? "this project" : "personal (global)"));
-  console.log(BAR_DIM + chalk.white("Tools: ") + agent.tools.join(", "));
-  console.log(BAR_DIM + chalk.white("Desc:  ") + chalk.dim(agent.description));
-  console.log(DIVIDER);
-  console.log("");
+/**
+ * Called before every request. Warns once past BUDGET_WARN_RATIO of a
+ * budget and returns a message (blocking the request) once it's spent.
+ */
+function checkBudget(config) {
+  const { session, today } = currentSpend(checkpointState.sessionId);
+  const budgets = [
+    { name: "Session", env: "CHALK_SESSION_BUDGET", limit: config.sessionBudget, used: session, key: `session:${checkpointState.sessionId}` },
+    { name: "Daily", env: "CHALK_DAILY_BUDGET", limit: config.dailyBudget, used: today, key: `daily:${spend.day}` },
+  ];
+  for (const b of budgets) {
+    if (!b.limit) continue;
+    if (b.used >= b.limit) {
+      return `${b.name} budget of ${formatCost(b.limit)} reached (${formatCost(b.used)} spent). Raise ${b.env} to keep going.`;
+    }
+    if (b.used >= b.limit * BUDGET_WARN_RATIO && !spend.warned.has(b.key)) {
+      spend.warned.add(b.key);
+      console.log(chalk.yellow(`  [budget] ${formatCost(b.used)} of the ${formatCost(b.limit)} ${b.name.toLowerCase()} budget used.`));
+    }
+  }
+  return null;
 }
 
-// ─── Slash Command Handlers ─────────────────────────────────────────────────
+const USAGE_GROUPS = {
+  day: (e) => localDay(new Date(e.at)),
+  project: (e) => (e.project || "?").replace(os.homedir(), "~"),
+  model: (e) => e.model || "?",
+};
+
+/** `chalk usage [day|project|model] [--days n]`; returns the exit code. */
+function printUsageReport(group, daysOpt) {
+  if (group && !USAGE_GROUPS[group]) {
+    console.error(chalk.red(`  Unknown grouping: ${group}. Use day, project or model.`));
+    return EXIT_USAGE;
+  }
+  const days = daysOpt === undefined ? 30 : parseInt(daysOpt, 10);
+  if (!Number.isFinite(days) || days < 1) {
+    console.error(chalk.red("  --days needs a positive number."));
+    return EXIT_USAGE;
+  }
+  const since = new Date();
+  since.setHours(0, 0, 0, 0);
+  since.setDate(since.getDate() - (days - 1));
+  const entries = readLedger().filter((e) => Date.parse(e.at) >= since.getTime());
+  if (entries.length === 0) {
+    console.log(chalk.dim(`\n  No usage recorded in the last ${days} days.\n`));
+    return EXIT_OK;
+  }
 
-async function handleSlashCommand(command, ctx) {
-  const config = loadConfig();
+  for (const name of group ? [group] : Object.keys(USAGE_GROUPS)) {
+    const rows = new Map();
+    for (const e of entries) {
+      const key = USAGE_GROUPS[name](e);
+      const row = rows.get(key) || { requests: 0, prompt: 0, completion: 0, cost: 0, unpriced: 0 };
+      row.requests++;
+      row.prompt += e.prompt_tokens || 0;
+      row.completion += e.completion_tokens || 0;
+      if (typeof e.cost === "number") row.cost += e.cost; else row.unpriced++;
+      rows.set(key, row);
+    }
+    const sorted = [...rows].sort(name === "day" ? (a, b) => b[0].localeCompare(a[0]) : (a, b) => b[1].cost - a[1].cost);
+    const width = Math.min(48, Math.max(8, ...sorted.map(([k]) => k.length)));
+
+    console.log(chalk.cyan.bold(`\n  By ${name}`) + chalk.dim(` (last ${days} days)`));
+    console.log(chalk.dim(`  ${"".padEnd(width)}  ${"requests".padStart(8)}  ${"input".padStart(10)}  ${"output".padStart(10)}  ${"cost".padStart(10)}`));
+    for (const [key, r] of sorted) {
+      const unpriced = r.unpriced ? chalk.dim(`  (${r.unpriced} unpriced)`) : "";
+      console.log(`  ${chalk.white(key.slice(-width).padEnd(width))}  ${String(r.requests).padStart(8)}  ${String(r.prompt).padStart(10)}  ${String(r.completion).padStart(10)}  ${formatCost(r.cost).padStart(10)}${unpriced}`);
+    }
+  }
+  const total = entries.reduce((sum, e) => sum + (e.cost || 0), 0);
+  console.log(chalk.dim(`\n  Total: ${formatCost(total)} over ${entries.length} requests.\n`));
+  return EXIT_OK;
+}
 
-  switch (command) {
-    case "/help":
-      console.log(chalk.cyan(`
-  Chalk CLI - ${MODEL_NAME}
+// ─── Model Switching (/model, --model) ──────────────────────────────────────
 
-  Usage:
-    Type your message and press Enter.
-    Chalk can run commands and edit files for you.
+// How many catalog matches the search step lists
+const MODEL_SEARCH_LIMIT = 30;
 
-  Slash Commands:`));
-      for (const c of SLASH_COMMANDS) {
-        console.log(`    ${chalk.cyan(c.name.padEnd(14))} ${chalk.dim(c.description)}`);
-      }
-      console.log(chalk.dim(`
-  One-shot:    chalk "your prompt here"
-  Multi-line:  Start with \`\`\`, end with \`\`\`
-`));
-      break;
+function catalogEntry(model) {
+  return loadModelCatalog()?.models?.find((m) => m.id === model) || null;
+}
 
-    case "/clear":
-      console.clear();
-      break;
+/** CHALK_CONTEXT_TOKENS if set, else the catalog's context length, else the default. */
+function modelContextTokens(model) {
+  const explicit = readIntEnv("CHALK_CONTEXT_TOKENS", 0);
+  if (explicit) return explicit;
+  return catalogEntry(model)?.context_length || DEFAULT_CONTEXT_TOKENS;
+}
 
-    case "/agents":
-      await showAgentsDialog();
-      break;
+function withModel(config, model) {
+  return { ...config, model, contextTokens: modelContextTokens(model) };
+}
 
-    case "/config":
-      console.log(chalk.dim(`
-  Config home:    ${CHALK_HOME}
-  Model:          ${config.model}
-  API base:       ${config.baseUrl}
-  API key:        ${config.apiKey ? config.apiKey.slice(0, 14) + "..." : "(not set)"}
-  Working dir:    ${process.cwd()}
-`));
-      break;
+/** The config with the session's /model choice applied. */
+function sessionConfig(config, ctx) {
+  return ctx.model ? withModel(config, ctx.model) : config;
+}
 
-    case "/model":
-      console.log(chalk.dim(`  Model: ${config.model}`));
-      break;
+/** true / false from the catalog, null when the model isn't in it. */
+function modelSupportsTools(model) {
+  const entry = catalogEntry(model);
+  return entry ? (entry.supported_parameters || []).includes("tools") : null;
+}
 
-    case "/tree": {
-      const project = getProjectContext();
-      console.log(chalk.cyan(`\n  ${project.cwd}\n`));
-      console.log(chalk.dim(project.treeStr.split("\n").map((l) => `  ${l}`).join("\n")));
-      console.log();
-      break;
-    }
+function warnIfNoTools(model) {
+  if (modelSupportsTools(model) !== false) return;
+  console.log(chalk.yellow(`  [warn] ${model} doesn't support tool calling. Chalk sends its tools anyway,`));
+  console.log(chalk.yellow("         so requests may fail or the model won't be able to read, edit or run anything."));
+}
 
-    case "/cost":
-      console.log(chalk.dim(`  Session tokens: ${ctx.totalTokens} (prompt: ${ctx.promptTokens}, completion: ${ctx.completionTokens})`));
-      break;
+function describeModel(id) {
+  const entry = catalogEntry(id);
+  if (!entry) return chalk.dim("not in catalog");
+  const price = modelPricing(id);
+  return chalk.dim([
+    entry.context_length ? `${Math.round(entry.context_length / 1000)}k ctx` : "",
+    price ? (price.input === 0 && price.output === 0 ? "free" : `${formatCost(price.input)}/${formatCost(price.output)} per M`) : "",
+  ].filter(Boolean).join("  ")) + (modelSupportsTools(id) === false ? chalk.yellow("  no tools") : "");
+}
 
-    case "/compact":
-      if (ctx.messages.length > 6) {
-        const kept = ctx.messages.slice(-4);
-        ctx.messages = kept;
-        console.log(chalk.dim(`  Compacted. Kept last ${kept.length} messages.`));
-      } else {
-        console.log(chalk.dim("  Conversation is already short."));
-      }
-      break;
+/** Catalog for the picker, refreshed when stale. Falls back to the old copy offline. */
+async function pickerCatalog(config) {
+  const cached = loadModelCatalog();
+  // Don't reach for OpenRouter when it isn't set up (e.g. offline with Ollama)
+  if (!catalogIsStale(cached) || (config.provider !== "openrouter" && !config.apiKey)) return cached;
+  const spinner = ora({ text: "Fetching model list...", color: "cyan" }).start();
+  try {
+    const fresh = await fetchModelCatalog(config);
+    spinner.stop();
+    return fresh;
+  } catch (err) {
+    spinner.warn(chalk.yellow(`Couldn't fetch models (${err.message})${cached ? "; using the cached list" : ""}.`));
+    return cached;
+  }
+}
 
-    case "/new":
-      ctx.messages = [];
-      ctx.totalTokens = 0;
-      ctx.promptTokens = 0;
-      ctx.completionTokens = 0;
-      console.log(chalk.green("  New conversation started."));
-      break;
+/** Current, fallback, agent and recently used models, most relevant first. */
+function suggestedModels(config) {
+  const recent = readLedger().slice(-200).reverse().map((e) => e.model);
+  const agents = loadCustomAgents().map((a) => a.model).filter((m) => m && m !== "inherit");
+  return [...new Set([config.model, DEFAULT_MODEL, ...config.fallbackModels, ...agents, ...recent])].slice(0, 10);
+}
 
-    case "/exit":
-      console.log(chalk.dim("  Goodbye!"));
-      process.exit(0);
+async function searchCatalog(catalog) {
+  console.log("");
+  const query = await panelInput("Search models", "Part of a model ID or name, e.g. claude, gpt-4o, llama.", "type to search...");
+  if (!query?.trim()) return null;
+  const q = query.trim().toLowerCase();
+  const matches = (catalog?.models || [])
+    .filter((m) => m.id.toLowerCase().includes(q) || (m.name || "").toLowerCase().includes(q))
+    .slice(0, MODEL_SEARCH_LIMIT);
+  if (matches.length === 0) {
+    console.log(chalk.yellow(`  No models match "${query.trim()}".`));
+    return null;
+  }
+  console.log("");
+  const idx = await panelSelect(
+    `${matches.length} match${matches.length === 1 ? "" : "es"}`,
+    matches.length === MODEL_SEARCH_LIMIT ? `Showing the first ${MODEL_SEARCH_LIMIT}; narrow the search for more.` : "Pick a model.",
+    matches.map((m) => `${m.id}  ${describeModel(m.id)}`)
+  );
+  return idx === -1 ? null : matches[idx].id;
+}
 
-    default:
-      console.log(chalk.yellow(`  Unknown command: ${command}`));
+/** /model [id]: pick from the catalog, switch this session, optionally save as the default. */
+async function switchModel(ctx, config, arg) {
+  let model = arg;
+  if (!model) {
+    const catalog = await pickerCatalog(config);
+    const suggested = suggestedModels(config);
+    console.log("");
+    const idx = await panelSelect(
+      "Switch model",
+      `Current: ${config.model}. The switch applies to this session.`,
+      [
+        ...suggested.map((id) => `${id === config.model ? chalk.green("* ") : "  "}${id}  ${describeModel(id)}`),
+        ...(catalog ? [`  Search all ${catalog.models.length} models...`] : []),
+        // Local and direct-provider models aren't in the catalog
+        "  Enter a model ID...",
+      ]
+    );
+    if (idx === -1) return;
+    if (idx < suggested.length) {
+      model = suggested[idx];
+    } else if (catalog && idx === suggested.length) {
+      model = await searchCatalog(catalog);
+    } else {
+      console.log("");
+      model = (await panelInput("Model ID", "As listed on openrouter.ai/models, or ollama/<name> for a local model.", "provider/model-name"))?.trim();
+    }
+    if (!model) return;
+  } else if (loadModelCatalog() && !catalogEntry(model) && resolveProvider(config, model).name === "openrouter") {
+    console.log(chalk.yellow(`  ${model} isn't in the model catalog; using it anyway.`));
+  }
+
+  ctx.model = model;
+  const provider = resolveProvider(config, model);
+  console.log(chalk.green(`  Switched to ${model}`) + "  " + (provider.name === "openrouter" ? describeModel(model) : chalk.dim(`via ${provider.name}`)));
+  const missingKey = missingKeyFor(config, model);
+  if (missingKey) console.log(chalk.yellow(`  [warn] ${missingKey} isn't set; requests to ${provider.name} will fail.`));
+  warnIfNoTools(model);
+
+  console.log("");
+  const save = await panelSelect("Keep it?", "The default is used by new sessions and one-shot runs.", [
+    "This session only",
+    `Make it the default (${CHALK_ENV})`,
+  ]);
+  if (save === 1) {
+    saveEnvValue("CHALK_MODEL", model);
+    process.env.CHALK_MODEL = model;
+    console.log(chalk.dim(`  Saved CHALK_MODEL=${model}`));
   }
 }
 
 // ─── API: Agentic Chat with Tool Loop ───────────────────────────────────────
 
-async function chat(config, systemPrompt, messages) {
+/**
+ * Run one user turn: stream, execute tools, repeat until the model answers
+ * without tool calls. Returns { content, messages, ...usage } where
+ * `messages` is everything this turn added (assistant tool calls, tool
+ * results, final answer) so callers can keep the whole transcript. On an API
+ * failure after tools already ran, the partial transcript is still returned.
+ * opts.maxTurns caps the number of model requests; `stopReason` says why
+ * the loop ended ("end", "max_turns", "budget" or "error"). opts.tools
+ * limits which tools are offered and may be called (an array of names; null
+ * means all); opts.label replaces "Chalk" in front of streamed answers.
+ */
+async function chat(config, systemPrompt, messages, opts = {}) {
   const apiMessages = [
     { role: "system", content: systemPrompt },
-    ...messages.map((m) => ({ role: m.role, content: m.content })),
+    ...trimHistory(messages),
   ];
+  const turn = [];
+  let requests = 0;
+  // Summed over every request of the turn, tool-loop iterations included
+  const totals = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost: 0 };
+  let lastPromptTokens = 0;
+  const result = (content, stopReason = "end") => ({
+    content,
+    stopReason,
+    requests,
+    messages: turn,
+    // Size of the final request, i.e. how full the context window is now
+    lastPromptTokens,
+    promptTokens: totals.prompt_tokens,
+    completionTokens: totals.completion_tokens,
+    totalTokens: totals.total_tokens,
+    cost: totals.cost,
+  });
+
+  const record = (msg) => {
+    apiMessages.push(msg);
+    turn.push(msg);
+  };
+
+  const definitions = allToolDefinitions();
+  const tools = (opts.tools ? definitions.filter((t) => opts.tools.includes(t.function.name)) : definitions)
+    .map((t) => (t.function.name === "tool_task" ? taskToolDefinition(t) : t));
 
-  let done = false;
+  while (true) {
+    if (opts.maxTurns && requests >= opts.maxTurns) {
+      console.log(chalk.yellow(`\n  Stopped after ${requests} model requests (turn limit).`));
+      return result("", "max_turns");
+    }
+    requests++;
 
-  while (!done) {
     const body = {
       model: config.model,
       messages: apiMessages,
-      tools: TOOL_DEFINITIONS,
       temperature: 0.7,
       max_tokens: 4096,
     };
+    if (tools.length > 0) body.tools = tools;
 
-    let data;
+    // Spinner runs until the first token or tool call shows up
+    const spinner = ora({ text: "Thinking...", color: "cyan", isSilent: headless.enabled }).start();
+    let printer = createStreamPrinter(opts.label);
+
+    let response;
     try {
-      const res = await fetch(`${config.baseUrl}/chat/completions`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${config.apiKey}`,
-          "Content-Type": "application/json",
-          "HTTP-Referer": "https://github.com/chalk-cli",
-          "X-Title": "Chalk CLI",
+      response = await completeWithRetry(config, body, {
+        onText: (text) => {
+          if (spinner.isSpinning) { spinner.clear(); spinner.stop(); }
+          printer.write(text);
+        },
+        onToolCall: (name) => {
+          if (spinner.isSpinning) spinner.text = `Preparing ${name}...`;
+        },
+        onRetry: ({ attempt, delay, error, fallback }) => {
+          // Anything streamed by the failed attempt will be sent again
+          if (printer.end()) console.log(chalk.dim("  [stream interrupted]"));
+          printer = createStreamPrinter(opts.label);
+          const reason = error.status ? `API ${error.status}` : error.name === "TimeoutError" ? "timeout" : "network error";
+          spinner.start(fallback
+            ? `${reason}, switching to fallback model ${fallback}...`
+            : `${reason}, retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt}/${config.maxRetries})...`);
         },
-        body: JSON.stringify(body),
-        signal: AbortSignal.timeout(120_000),
       });
+    } catch (err) {
+      spinner.stop();
+      printer.end();
+      if (err.budget) {
+        // Nothing was sent, so this request doesn't count
+        requests--;
+        console.log(chalk.red(`\n  ${err.message}`));
+        emitEvent({ type: "error", message: err.message });
+        return result("", "budget");
+      }
+      const msg = err.name === "TimeoutError" ? "Request timed out." : err.message;
+      console.log(chalk.red(`\n  [error] ${msg}`));
+      emitEvent({ type: "error", message: msg, status: err.status });
+      return turn.length > 0 ? result("", "error") : null;
+    }
+    spinner.clear();
+    spinner.stop();
+    const cleaned = printer.end();
+
+    const { message, finishReason, usage } = response;
+    if (response.model !== body.model) {
+      console.log(chalk.dim(`  (answered by fallback model ${response.model})`));
+    }
+    if (cleaned) emitEvent({ type: "assistant", text: cleaned });
+    if (usage) {
+      const entry = await recordUsage(config, response.model, usage);
+      for (const key of ["prompt_tokens", "completion_tokens", "total_tokens"]) totals[key] += usage[key] || 0;
+      totals.cost += entry.cost || 0;
+      lastPromptTokens = usage.prompt_tokens || 0;
+      emitEvent({ type: "usage", model: response.model, ...usage, cost_usd: entry.cost });
+    }
+
+    // No tool calls -> model is done (text was already streamed)
+    if (!message.tool_calls || message.tool_calls.length === 0) {
+      if (cleaned) record({ role: "assistant", content: cleaned });
+      return result(cleaned);
+    }
+
+    // Add assistant message to history (reasoning blocks stripped)
+    record({
+      role: "assistant",
+      content: cleaned || null,
+      tool_calls: message.tool_calls,
+    });
+
+    // Execute each tool
+    for (const tc of message.tool_calls) {
+      let args;
+      try {
+        args = typeof tc.function.arguments === "string"
+          ? JSON.parse(tc.function.arguments || "{}")
+          : tc.function.arguments;
+      } catch {
+        args = {};
+      }
+
+      emitEvent({ type: "tool_call", id: tc.id, name: tc.function.name, input: args });
+      const toolResult = tools.some((t) => t.function.name === tc.function.name)
+        ? await dispatchTool(tc.function.name, args, config)
+        : { output: `Tool ${tc.function.name} is not available here.`, success: false };
+      emitEvent({ type: "tool_result", id: tc.id, name: tc.function.name, success: toolResult.success, output: toolResult.output });
+
+      // Feed result back to the model
+      record({
+        role: "tool",
+        content: toolResult.output,
+        tool_call_id: tc.id,
+      });
+    }
+
+    // Loop: model sees tool results and decides next step
+    if (finishReason === "stop" || finishReason === "end_turn") return result("");
+  }
+}
+
+// ─── Banner ─────────────────────────────────────────────────────────────────
+
+function printBanner(model) {
+  console.log(chalk.cyan.bold(`
+   _____ _           _ _
+  / ____| |         | | |
+ | |    | |__   __ _| | | __
+ | |    | '_ \\ / _\` | | |/ /
+ | |____| | | | (_| | |   <
+  \\_____|_| |_|\\__,_|_|_|\\_\\`));
+  console.log(chalk.dim(`\n  ${MODEL_NAME} | Model: ${model}`));
+  console.log(chalk.dim("  Type / for commands, ``` for multi-line, # to remember"));
+  console.log(chalk.dim(`  Working in: ${process.cwd()}\n`));
+}
+
+// ─── First-Run Setup ────────────────────────────────────────────────────────
+
+async function runLogin() {
+  console.log(chalk.cyan(`\n  Chalk CLI - First-Time Setup\n`));
+  console.log("  Chalk needs an OpenRouter API key to connect to AI models.");
+  console.log("  Get one free at: https://openrouter.ai/keys\n");
+
+  const { apiKey } = await inquirer.prompt([
+    { type: "input", name: "apiKey", message: "Enter your OpenRouter API key:" },
+  ]);
+  if (!apiKey) {
+    console.log(chalk.red("\n  No key entered. Setup cancelled.\n"));
+    return false;
+  }
+  saveEnvValue("OPENROUTER_API_KEY", apiKey.trim());
+
+  const { model } = await inquirer.prompt([
+    {
+      type: "input",
+      name: "model",
+      message: `Model ID [${DEFAULT_MODEL}]:`,
+      default: DEFAULT_MODEL,
+    },
+  ]);
+  saveEnvValue("CHALK_MODEL", model.trim() || DEFAULT_MODEL);
+
+  console.log(chalk.green(`\n  Config saved to ${CHALK_HOME}`));
+  console.log('  Run "chalk" to start.\n');
+  return true;
+}
+
+// ─── File Mentions (@path, @path:40-120) ────────────────────────────────────
+
+// Per mention; longer files are cut with a marker saying how to get the rest
+const MAX_MENTION_LINES = 500;
+const MAX_MENTION_CHARS = 50_000;
+// "@" at the start of a word, then a path (spaces escaped as "\ ")
+const MENTION_PATTERN = /(^|\s)@((?:\\ |[^\s@])+)/g;
+
+function expandHome(p) {
+  return p === "~" || p.startsWith("~/") ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+/**
+ * "@src/app.js:40-120" -> { rel, abs, start, end, isDir, isFile }, or null when no
+ * such file exists. Trailing punctuation ("see @a.js.") is tried without.
+ */
+function resolveMentionPath(token) {
+  const raw = token.replace(/\\ /g, " ");
+  for (const candidate of [raw, raw.replace(/[.,;:!?)'"\]]+$/, "")]) {
+    const range = candidate.match(/^(.+?):(\d+)(?:-(\d+))?$/);
+    const file = range ? range[1] : candidate;
+    const abs = path.resolve(expandHome(file));
+    let stat;
+    try {
+      stat = fs.statSync(abs);
+    } catch {
+      continue;
+    }
+    return {
+      rel: relPath(abs) || ".",
+      abs,
+      isDir: stat.isDirectory(),
+      isFile: stat.isFile(),
+      start: range ? Number(range[2]) : null,
+      end: range ? Number(range[3] || range[2]) : null,
+    };
+  }
+  return null;
+}
+
+/** One mention as an attachment block, plus a short note for the terminal. */
+function mentionAttachment(target) {
+  const { rel, abs } = target;
+  if (target.isDir) {
+    const tree = scanFileTree(abs);
+    return {
+      note: `attached ${rel}/ (${tree.length} ${tree.length === 1 ? "entry" : "entries"})`,
+      block: `<directory path="${rel}">\n${tree.length > 0 ? tree.join("\n") : "(empty directory)"}\n</directory>`,
+    };
+  }
+  // Reading a FIFO or device would block (or never end)
+  if (!target.isFile) {
+    return { note: `skipped ${rel} (not a regular file)`, block: `<file path="${rel}">\n(not a regular file; not attached)\n</file>` };
+  }
+  if (isBinaryFile(abs)) {
+    return { note: `skipped ${rel} (binary file)`, block: `<file path="${rel}">\n(binary file, ${fs.statSync(abs).size} bytes; not attached)\n</file>` };
+  }
+
+  const lines = fs.readFileSync(abs, "utf-8").split("\n");
+  if (lines[lines.length - 1] === "") lines.pop();
+  const start = Math.min(Math.max(1, target.start || 1), Math.max(1, lines.length));
+  let end = Math.min(lines.length, target.end || lines.length, start + MAX_MENTION_LINES - 1);
+  const width = String(end).length;
+  let body = "";
+  let shown = start - 1;
+  for (let i = start - 1; i < end; i++) {
+    const line = `${String(i + 1).padStart(width)}\t${lines[i]}\n`;
+    if (body.length + line.length > MAX_MENTION_CHARS) break;
+    body += line;
+    shown = i + 1;
+  }
+  end = shown;
+  const wanted = Math.min(lines.length, target.end || lines.length);
+  const cut = end < wanted
+    ? `[... truncated at line ${end} of ${lines.length}; mention @${rel}:${end + 1}-${Math.min(wanted, end + MAX_MENTION_LINES)} for more ...]\n`
+    : "";
+  const range = start > 1 || end < lines.length ? ` lines="${start}-${end}"` : "";
+  return {
+    note: `attached ${rel} (${range ? `lines ${start}-${end} of ${lines.length}` : `${lines.length} line${lines.length === 1 ? "" : "s"}`}${cut ? ", truncated" : ""})`,
+    block: `<file path="${rel}"${range} total_lines="${lines.length}">\n${body}${cut}</file>`,
+  };
+}
+
+/**
+ * Attach the files and directories a prompt @-mentions. The prompt text is
+ * kept as typed; the contents follow it. Mentions that aren't paths (an
+ * email, "@everyone") are left alone. Each one goes through the same read
+ * permission check as tool_read.
+ */
+async function expandFileMentions(text) {
+  const blocks = [];
+  const seen = new Set();
+  for (const m of text.matchAll(MENTION_PATTERN)) {
+    const target = resolveMentionPath(m[2]);
+    if (!target) continue;
+    const key = `${target.abs}:${target.start}-${target.end}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (!(await confirmReadAccess(target.abs))) {
+      console.log(chalk.yellow(`  Not attached: ${target.rel} (read access denied)`));
+      continue;
+    }
+    try {
+      const { note, block } = mentionAttachment(target);
+      console.log(chalk.dim(`  ${note}`));
+      blocks.push(block);
+    } catch (err) {
+      console.log(chalk.yellow(`  Couldn't attach ${target.rel}: ${err.message}`));
+    }
+  }
+  return blocks.length > 0 ? `${text}\n\n${blocks.join("\n\n")}` : text;
+}
+
+/**
+ * Tab completion for the word before the cursor: "@path" completes paths
+ * relative to cwd (skipping IGNORED_DIRS like the file tree does), and a
+ * leading "@" also offers custom agent names.
+ */
+function completeMention(before) {
+  const m = before.match(/(?:^|\s)@((?:\\ |[^\s@])*)$/);
+  if (!m) return null;
+  const typed = m[1].replace(/\\ /g, " ");
+  const slash = typed.lastIndexOf("/");
+  const dirPart = typed.slice(0, slash + 1);
+  const prefix = typed.slice(slash + 1);
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync(path.resolve(expandHome(dirPart || ".")), { withFileTypes: true });
+  } catch { /* not a directory */ }
+  entries = entries.filter((e) => !IGNORED_DIRS.has(e.name) && (prefix.startsWith(".") || !e.name.startsWith(".")));
+  let matches = entries.filter((e) => e.name.startsWith(prefix));
+  if (matches.length === 0) matches = entries.filter((e) => e.name.toLowerCase().startsWith(prefix.toLowerCase()));
+
+  const isDir = (e) => e.isDirectory() || (e.isSymbolicLink() && fs.statSync(path.resolve(expandHome(dirPart || "."), e.name), { throwIfNoEntry: false })?.isDirectory());
+  const candidates = matches
+    .map((e) => ({ name: e.name, dir: !!isDir(e) }))
+    .sort((a, b) => (a.dir === b.dir ? a.name.localeCompare(b.name) : a.dir ? -1 : 1))
+    .map(({ name, dir }) => ({
+      value: (dirPart + name + (dir ? "/" : "")).replace(/ /g, "\\ "),
+      display: dir ? chalk.cyan(name + "/") : name,
+      final: !dir,
+    }));
+
+  // "@rev<Tab>" at the start of the line can also be an agent
+  if (!dirPart && /^\s*@\S*$/.test(before)) {
+    const slugs = [...new Set(loadCustomAgents().map((a) => agentSlug(a.name)))].filter((s) => s.startsWith(typed.toLowerCase()));
+    candidates.unshift(...slugs.map((slug) => ({ value: slug, display: chalk.magenta(`${slug} (agent)`), final: true })));
+  }
+  return { start: before.length - m[1].length, candidates };
+}
+
+// ─── Line Editor (cursor keys, history, Ctrl+R, paste) ──────────────────────
+
+const HISTORY_FILE = path.join(CHALK_HOME, "history");
+const HISTORY_MAX = 1000;
+// Pastes longer than this are shown as a placeholder and expanded on submit
+const PASTE_COLLAPSE_LINES = 8;
+const BRACKETED_PASTE_ON = "\x1b[?2004h";
+const BRACKETED_PASTE_OFF = "\x1b[?2004l";
+const PASTE_START = "\x1b[200~";
+const PASTE_END = "\x1b[201~";
+// Tab completion lists at most this many candidates
+const MAX_COMPLETION_LIST = 60;
+
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+let historyCache = null;
 
-      if (!res.ok) {
-        const errText = await res.text().catch(() => "");
-        throw new Error(`API ${res.status}: ${errText}`);
+/** Prompt history, oldest first. One JSON string per line so multi-line prompts survive. */
+function loadHistory() {
+  if (historyCache) return historyCache;
+  historyCache = [];
+  try {
+    for (const line of fs.readFileSync(HISTORY_FILE, "utf-8").split("\n")) {
+      if (!line) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (typeof entry === "string" && entry) historyCache.push(entry);
+      } catch { /* skip damaged lines */ }
+    }
+  } catch { /* no history yet */ }
+  historyCache = historyCache.slice(-HISTORY_MAX);
+  return historyCache;
+}
+
+function appendHistory(text) {
+  const history = loadHistory();
+  if (history[history.length - 1] === text) return;
+  history.push(text);
+  try {
+    fs.mkdirSync(CHALK_HOME, { recursive: true });
+    if (history.length > HISTORY_MAX) {
+      // Rewrite now and then instead of growing forever
+      history.splice(0, history.length - HISTORY_MAX);
+      fs.writeFileSync(HISTORY_FILE, history.map((h) => JSON.stringify(h)).join("\n") + "\n", "utf-8");
+    } else {
+      fs.appendFileSync(HISTORY_FILE, JSON.stringify(text) + "\n", "utf-8");
+    }
+  } catch { /* history is a convenience */ }
+}
+
+/**
+ * Split raw terminal input into keys: { name } for special keys,
+ * { text } for typed characters. Unknown escape sequences are dropped.
+ */
+function parseKeys(input) {
+  const keys = [];
+  let i = 0;
+  const CSI_KEYS = {
+    A: "up", B: "down", C: "right", D: "left", H: "home", F: "end",
+    "1~": "home", "7~": "home", "4~": "end", "8~": "end", "3~": "delete",
+  };
+  const ALT_KEYS = { b: "wordLeft", f: "wordRight", d: "deleteWordRight", "\x7f": "deleteWordLeft", "\b": "deleteWordLeft", "\r": "newline" };
+  const CTRL_KEYS = {
+    "\x01": "home", "\x02": "left", "\x03": "interrupt", "\x04": "eof", "\x05": "end", "\x06": "right",
+    "\x07": "escape", "\b": "backspace", "\t": "tab", "\n": "newline", "\x0b": "killRight", "\x0c": "clearScreen",
+    "\r": "enter", "\x0e": "down", "\x10": "up", "\x12": "search", "\x15": "killLeft", "\x17": "deleteWordLeft",
+    "\x7f": "backspace",
+  };
+  while (i < input.length) {
+    const ch = input[i];
+    if (input.startsWith(PASTE_START, i)) {
+      keys.push({ name: "pasteStart" });
+      i += PASTE_START.length;
+      continue;
+    }
+    if (input.startsWith(PASTE_END, i)) {
+      keys.push({ name: "pasteEnd" });
+      i += PASTE_END.length;
+      continue;
+    }
+    if (ch === "\x1b") {
+      const csi = input.slice(i).match(/^\x1b\[([0-9;]*)([~A-Za-z])/) || input.slice(i).match(/^\x1bO()([A-Za-z])/);
+      if (csi) {
+        const [, params, final] = csi;
+        let name = CSI_KEYS[params + final];
+        if (!name && final !== "~") {
+          // Ctrl/Alt+arrow ("1;5D", "1;3C") moves by word; other modifiers are ignored
+          name = /;[35]$/.test(params) && (final === "C" || final === "D")
+            ? (final === "C" ? "wordRight" : "wordLeft")
+            : CSI_KEYS[final];
+        }
+        if (name) keys.push({ name });
+        i += csi[0].length;
+        continue;
       }
+      const next = input[i + 1];
+      if (next && ALT_KEYS[next]) {
+        keys.push({ name: ALT_KEYS[next] });
+        i += 2;
+        continue;
+      }
+      keys.push({ name: "escape" });
+      i += next && next !== "\x1b" ? 2 : 1;
+      continue;
+    }
+    if (CTRL_KEYS[ch]) {
+      keys.push({ name: CTRL_KEYS[ch] });
+      i++;
+      continue;
+    }
+    // Run of ordinary characters (other control bytes are dropped)
+    let j = i;
+    while (j < input.length && input[j] >= " " && input[j] !== "\x7f" && input[j] !== "\x1b") j++;
+    if (j > i) keys.push({ text: input.slice(i, j) });
+    i = Math.max(j, i + 1);
+  }
+  return keys;
+}
 
-      data = await res.json();
-    } catch (err) {
-      console.log(chalk.red(`\n  [error] ${err.message}`));
-      return null;
+/** Where each piece of `text` lands on screen when printed from column `startCol`. */
+function layoutText(text, startCol, cols, stopAt = text.length) {
+  let row = 0;
+  let col = startCol;
+  let offset = 0;
+  for (const { segment } of graphemeSegmenter.segment(text)) {
+    if (offset >= stopAt) break;
+    offset += segment.length;
+    if (segment === "\n") {
+      row++;
+      col = 0;
+      continue;
     }
+    const w = displayWidth(segment);
+    // Wide characters never straddle the edge; the terminal wraps them early
+    if (col + w > cols) {
+      row++;
+      col = 0;
+    }
+    col += w;
+  }
+  // Exactly at the edge: the next character (or the cursor) goes on the next row
+  if (col >= cols) {
+    row++;
+    col = 0;
+  }
+  return { row, col };
+}
 
-    const choice = data.choices?.[0];
-    if (!choice) {
-      console.log(chalk.red("\n  [error] No response from model."));
-      return null;
+/**
+ * The editing state behind rawInput(). feed() takes decoded input and
+ * returns undefined while editing continues, { text, isSlash } on submit
+ * or null on EOF. `complete(textBeforeCursor)` powers Tab; it returns
+ * { start, candidates: [{ value, display, final }] } or null.
+ */
+function createLineEditor(prompt, complete = null) {
+  const history = loadHistory();
+  const pastes = new Map();
+  let buf = "";
+  let cursor = 0;
+  let historyIndex = history.length;
+  let draft = "";
+  let pasting = null;
+  let search = null;
+  let cursorRow = 0;
+  // Start of an escape sequence split across reads
+  let held = "";
+
+  const promptWidth = displayWidth(prompt);
+  const CONT_PREFIX = chalk.dim("... ");
+
+  // Pasted-text placeholders move and delete as one unit
+  function placeholderRanges() {
+    const ranges = [];
+    for (const m of buf.matchAll(/\[Pasted text #(\d+)[^\]]*\]/g)) {
+      if (pastes.has(Number(m[1]))) ranges.push([m.index, m.index + m[0].length]);
     }
+    return ranges;
+  }
 
-    const message = choice.message;
+  function boundaries() {
+    const ranges = placeholderRanges();
+    const stops = [0];
+    let offset = 0;
+    for (const { segment } of graphemeSegmenter.segment(buf)) {
+      offset += segment.length;
+      if (!ranges.some(([s, e]) => offset > s && offset < e)) stops.push(offset);
+    }
+    return stops;
+  }
 
-    // Check for tool calls
-    if (message.tool_calls && message.tool_calls.length > 0) {
-      // Print any text the model returned alongside tool calls
-      if (message.content) {
-        let cleaned = message.content.replace(/<think>[\s\S]*?<\/think>/g, "").replace(/<think>[\s\S]*/g, "").trim();
-        if (cleaned) console.log(chalk.green.bold("\nChalk: ") + cleaned);
-      }
+  const prevStop = () => boundaries().filter((b) => b < cursor).pop() ?? 0;
+  const nextStop = () => boundaries().find((b) => b > cursor) ?? buf.length;
 
-      // Add assistant message to API history
-      apiMessages.push({
-        role: "assistant",
-        content: message.content || null,
-        tool_calls: message.tool_calls,
-      });
+  function wordLeft() {
+    let i = cursor;
+    while (i > 0 && !/[\p{L}\p{N}_]/u.test(buf[i - 1])) i--;
+    while (i > 0 && /[\p{L}\p{N}_]/u.test(buf[i - 1])) i--;
+    return i;
+  }
 
-      // Execute each tool
-      for (const tc of message.tool_calls) {
-        let args;
-        try {
-          args = typeof tc.function.arguments === "string"
-            ? JSON.parse(tc.function.arguments)
-            : tc.function.arguments;
-        } catch {
-          args = {};
-        }
+  function wordRight() {
+    let i = cursor;
+    while (i < buf.length && !/[\p{L}\p{N}_]/u.test(buf[i])) i++;
+    while (i < buf.length && /[\p{L}\p{N}_]/u.test(buf[i])) i++;
+    return i;
+  }
 
-        const result = await dispatchTool(tc.function.name, args);
+  function insert(text) {
+    buf = buf.slice(0, cursor) + text + buf.slice(cursor);
+    cursor += text.length;
+  }
 
-        // Feed result back to the model
-        apiMessages.push({
-          role: "tool",
-          content: result.output,
-          tool_call_id: tc.id,
-        });
-      }
-      // Loop: model sees tool results and decides next step
+  function remove(from, to) {
+    buf = buf.slice(0, from) + buf.slice(to);
+    cursor = from;
+  }
+
+  function paste(text) {
+    text = text.replace(/\r\n?/g, "\n");
+    const lines = text.split("\n").length;
+    if (lines > PASTE_COLLAPSE_LINES || text.includes("\t")) {
+      const id = pastes.size + 1;
+      pastes.set(id, text);
+      insert(`[Pasted text #${id}: ${lines > 1 ? `${lines} lines` : `${text.length} chars`}]`);
     } else {
-      // No tool calls -> model is done, print response
-      done = true;
+      insert(text);
+    }
+  }
 
-      const content = message.content || "";
-      let cleaned = content.replace(/<think>[\s\S]*?<\/think>/g, "").replace(/<think>[\s\S]*/g, "").trim();
-      if (cleaned) {
-        console.log(chalk.green.bold("\nChalk: ") + cleaned);
-      }
+  function expandPastes(text) {
+    return text.replace(/\[Pasted text #(\d+)[^\]]*\]/g, (m, id) => pastes.get(Number(id)) ?? m);
+  }
 
-      return {
-        content: cleaned,
-        promptTokens: data.usage?.prompt_tokens || 0,
-        completionTokens: data.usage?.completion_tokens || 0,
-        totalTokens: data.usage?.total_tokens || 0,
-      };
-    }
+  function setBuffer(text) {
+    buf = text;
+    cursor = text.length;
+  }
 
-    if (choice.finish_reason === "stop" || choice.finish_reason === "end_turn") {
-      done = true;
+  /** Up/down inside a multi-line buffer; false when already on the first/last line. */
+  function moveLine(dir) {
+    const lineStart = buf.lastIndexOf("\n", cursor - 1) + 1;
+    const col = cursor - lineStart;
+    if (dir < 0) {
+      if (lineStart === 0) return false;
+      const prevStart = buf.lastIndexOf("\n", lineStart - 2) + 1;
+      cursor = Math.min(prevStart + col, lineStart - 1);
+    } else {
+      const lineEnd = buf.indexOf("\n", cursor);
+      if (lineEnd === -1) return false;
+      const nextEnd = buf.indexOf("\n", lineEnd + 1);
+      cursor = Math.min(lineEnd + 1 + col, nextEnd === -1 ? buf.length : nextEnd);
     }
+    return true;
   }
 
-  return null;
-}
+  function browseHistory(dir) {
+    if (historyIndex === history.length) draft = buf;
+    const next = historyIndex + dir;
+    if (next < 0 || next > history.length) return;
+    historyIndex = next;
+    setBuffer(next === history.length ? draft : history[next]);
+  }
 
-// ─── Banner ─────────────────────────────────────────────────────────────────
+  function findMatch(from) {
+    if (!search.query) return -1;
+    for (let i = from; i >= 0; i--) if (history[i].includes(search.query)) return i;
+    return -1;
+  }
 
-function printBanner(model) {
-  console.log(chalk.cyan.bold(`
-   _____ _           _ _
-  / ____| |         | | |
- | |    | |__   __ _| | | __
- | |    | '_ \\ / _\` | | |/ /
- | |____| | | | (_| | |   <
-  \\_____|_| |_|\\__,_|_|_|\\_\\`));
-  console.log(chalk.dim(`\n  ${MODEL_NAME} | Model: ${model}`));
-  console.log(chalk.dim("  Type / for commands, ``` for multi-line"));
-  console.log(chalk.dim(`  Working in: ${process.cwd()}\n`));
-}
+  /** Tab: complete a single match, extend to the common prefix, or list the options. */
+  function tabComplete() {
+    const result = complete?.(buf.slice(0, cursor));
+    if (!result || result.candidates.length === 0) return;
+    const { start, candidates } = result;
+    const replace = (text) => {
+      buf = buf.slice(0, start) + text + buf.slice(cursor);
+      cursor = start + text.length;
+    };
+    if (candidates.length === 1) {
+      replace(candidates[0].value + (candidates[0].final ? " " : ""));
+      return;
+    }
+    let common = candidates[0].value;
+    for (const c of candidates) while (!c.value.startsWith(common)) common = common.slice(0, -1);
+    if (common.length > cursor - start) {
+      replace(common);
+      return;
+    }
 
-// ─── First-Run Setup ────────────────────────────────────────────────────────
+    // List below the input, then redraw the prompt under the list
+    const cols = process.stdout.columns || 80;
+    const end = layoutText(buf.replace(/\n/g, "\n    "), promptWidth, cols);
+    const shown = candidates.slice(0, MAX_COMPLETION_LIST);
+    const cell = Math.max(...shown.map((c) => displayWidth(c.display))) + 2;
+    const perRow = Math.max(1, Math.floor((cols - 2) / cell));
+    let out = (end.row > cursorRow ? `\x1b[${end.row - cursorRow}B` : "") + "\r\n";
+    for (let i = 0; i < shown.length; i += perRow) {
+      out += "  " + shown.slice(i, i + perRow).map((c) => c.display + " ".repeat(cell - displayWidth(c.display))).join("").trimEnd() + "\r\n";
+    }
+    if (candidates.length > shown.length) out += chalk.dim(`  ... ${candidates.length - shown.length} more`) + "\r\n";
+    process.stdout.write(out);
+    cursorRow = 0;
+  }
 
-async function runLogin() {
-  console.log(chalk.cyan(`\n  Chalk CLI - First-Time Setup\n`));
-  console.log("  Chalk needs an OpenRouter API key to connect to AI models.");
-  console.log("  Get one free at: https://openrouter.ai/keys\n");
+  /** Redraw the prompt and buffer in place, leaving the terminal cursor at `cursor`. */
+  function render() {
+    const cols = process.stdout.columns || 80;
+    let head = prompt;
+    let body = buf;
+    let at = cursor;
+    if (search) {
+      const match = search.index >= 0 ? history[search.index] : "";
+      head = chalk.dim(`(reverse-i-search)\`${search.query}'${search.index === -1 && search.query ? " (no match)" : ""}: `);
+      body = match;
+      at = match.length;
+    }
+    const headWidth = search ? displayWidth(head) : promptWidth;
+    // Continuation lines get a "... " prefix; lay out with it so wrapping is right
+    const shown = body.replace(/\n/g, "\n    ");
+    const shownAt = body.slice(0, at).replace(/\n/g, "\n    ").length;
+    const end = layoutText(shown, headWidth, cols);
+    const pos = layoutText(shown, headWidth, cols, shownAt);
+
+    let out = (cursorRow > 0 ? `\x1b[${cursorRow}A` : "") + "\r\x1b[J";
+    out += head + body.replace(/\n/g, "\r\n" + CONT_PREFIX);
+    // Force the pending wrap so the cursor really is on the next row
+    if (end.col === 0 && end.row > 0 && !body.endsWith("\n")) out += " \b";
+    const up = end.row - pos.row;
+    if (up > 0) out += `\x1b[${up}A`;
+    out += "\r" + (pos.col > 0 ? `\x1b[${pos.col}C` : "");
+    process.stdout.write(out);
+    cursorRow = pos.row;
+  }
 
-  const { apiKey } = await inquirer.prompt([
-    { type: "input", name: "apiKey", message: "Enter your OpenRouter API key:" },
-  ]);
-  if (!apiKey) {
-    console.log(chalk.red("\n  No key entered. Setup cancelled.\n"));
-    return false;
+  /** Redraw with the cursor at the end, step below the input and hand back a result. */
+  function finish(result) {
+    search = null;
+    cursor = buf.length;
+    render();
+    process.stdout.write("\r\n");
+    return result;
   }
-  saveEnvValue("OPENROUTER_API_KEY", apiKey.trim());
 
-  const { model } = await inquirer.prompt([
-    {
-      type: "input",
-      name: "model",
-      message: `Model ID [${DEFAULT_MODEL}]:`,
-      default: DEFAULT_MODEL,
-    },
-  ]);
-  saveEnvValue("CHALK_MODEL", model.trim() || DEFAULT_MODEL);
+  function handleSearchKey(key) {
+    if (key.text) {
+      search.query += key.text;
+      search.index = findMatch(search.index === -1 ? history.length - 1 : search.index);
+    } else if (key.name === "backspace") {
+      search.query = search.query.slice(0, -1);
+      search.index = findMatch(history.length - 1);
+    } else if (key.name === "search") {
+      const older = findMatch(search.index - 1);
+      if (older !== -1) search.index = older;
+    } else if (key.name === "escape" || key.name === "interrupt") {
+      search = null;
+    } else {
+      // Any other key accepts the match and is then handled normally
+      if (search.index >= 0) {
+        historyIndex = search.index;
+        setBuffer(history[search.index]);
+      }
+      search = null;
+      return false;
+    }
+    return true;
+  }
 
-  console.log(chalk.green(`\n  Config saved to ${CHALK_HOME}`));
-  console.log('  Run "chalk" to start.\n');
-  return true;
+  function feed(input) {
+    input = held + input;
+    held = "";
+    const partial = input.match(/\x1b(\[[0-9;]*|O)$/);
+    if (partial) {
+      held = partial[0];
+      input = input.slice(0, -held.length);
+    }
+    const keys = parseKeys(input);
+    for (let k = 0; k < keys.length; k++) {
+      const key = keys[k];
+      if (pasting !== null) {
+        if (key.name === "pasteEnd") {
+          paste(pasting);
+          pasting = null;
+        } else {
+          pasting += key.text ?? { enter: "\r", newline: "\n", tab: "\t" }[key.name] ?? "";
+        }
+        continue;
+      }
+      if (search && handleSearchKey(key)) continue;
+
+      if (key.text) {
+        // First keystroke "/" opens the command menu right away
+        if (!buf && key.text === "/") {
+          buf = "/";
+          return finish({ text: "/", isSlash: true });
+        }
+        insert(key.text);
+        continue;
+      }
+      switch (key.name) {
+        case "pasteStart": pasting = ""; break;
+        case "enter":
+          // Text after Enter in the same read means an unbracketed paste, not a submit
+          if (keys.slice(k + 1).some((next) => next.text)) { insert("\n"); break; }
+          return finish({ text: expandPastes(buf).trim(), isSlash: false });
+        case "newline": insert("\n"); break;
+        case "interrupt":
+          return finish({ text: "", isSlash: false });
+        case "eof":
+          if (!buf) return finish(null);
+          remove(cursor, nextStop());
+          break;
+        case "backspace": if (cursor > 0) remove(prevStop(), cursor); break;
+        case "delete": if (cursor < buf.length) remove(cursor, nextStop()); break;
+        case "left": cursor = prevStop(); break;
+        case "right": cursor = nextStop(); break;
+        case "wordLeft": cursor = wordLeft(); break;
+        case "wordRight": cursor = wordRight(); break;
+        case "home": cursor = buf.lastIndexOf("\n", cursor - 1) + 1; break;
+        case "end": { const nl = buf.indexOf("\n", cursor); cursor = nl === -1 ? buf.length : nl; break; }
+        case "deleteWordLeft": remove(wordLeft(), cursor); break;
+        case "deleteWordRight": { const to = wordRight(); buf = buf.slice(0, cursor) + buf.slice(to); break; }
+        case "killLeft": remove(buf.lastIndexOf("\n", cursor - 1) + 1, cursor); break;
+        case "killRight": { const nl = buf.indexOf("\n", cursor); buf = buf.slice(0, cursor) + (nl === -1 ? "" : buf.slice(nl)); break; }
+        case "up": if (!moveLine(-1)) browseHistory(-1); break;
+        case "down": if (!moveLine(1)) browseHistory(1); break;
+        case "search": search = { query: "", index: -1 }; break;
+        case "tab": tabComplete(); break;
+        case "clearScreen":
+          process.stdout.write("\x1b[2J\x1b[H");
+          cursorRow = 0;
+          break;
+      }
+    }
+    render();
+    return undefined;
+  }
+
+  return { render, feed };
 }
 
 // ─── Input Handler (raw mode for instant / detection) ───────────────────────
@@ -912,77 +6378,44 @@ function readLine(promptStr) {
  * Raw-mode input: detects `/` instantly on first keypress.
  * Returns { text, isSlash } or null on EOF.
  */
-function rawInput() {
+function rawInput(label = "") {
   return new Promise((resolve) => {
-    let buf = "";
-
-    process.stdout.write(chalk.cyan.bold("\n> "));
+    const prompt = (label ? chalk.magenta(`[${label}] `) : "") + chalk.cyan.bold("> ");
+    process.stdout.write("\n");
 
     if (!process.stdin.isTTY) {
       // Fallback for piped input
+      process.stdout.write(prompt);
       const rl = readline.createInterface({ input: process.stdin });
       rl.once("line", (line) => { rl.close(); resolve({ text: line.trim(), isSlash: false }); });
       rl.once("close", () => resolve(null));
       return;
     }
 
+    const editor = createLineEditor(prompt, completeMention);
+    const decoder = new StringDecoder("utf8");
     process.stdin.setRawMode(true);
     process.stdin.resume();
+    process.stdout.write(BRACKETED_PASTE_ON);
+    editor.render();
 
     function cleanup() {
-      process.stdin.removeListener("data", onKey);
+      process.stdin.removeListener("data", onData);
+      process.stdout.removeListener("resize", editor.render);
+      process.stdout.write(BRACKETED_PASTE_OFF);
       if (process.stdin.isTTY) process.stdin.setRawMode(false);
     }
 
-    function onKey(data) {
-      const code = data[0];
-
-      // Ctrl+D -> EOF
-      if (code === 4) { cleanup(); process.stdout.write("\n"); resolve(null); return; }
-
-      // Ctrl+C -> cancel
-      if (code === 3) { cleanup(); process.stdout.write("\n"); resolve({ text: "", isSlash: false }); return; }
-
-      // Enter -> submit
-      if (code === 13) {
-        cleanup();
-        process.stdout.write("\n");
-        resolve({ text: buf.trim(), isSlash: false });
-        return;
-      }
-
-      // Backspace
-      if (code === 127 || code === 8) {
-        if (buf.length > 0) {
-          buf = buf.slice(0, -1);
-          process.stdout.write("\b \b");
-        }
-        return;
-      }
-
-      // Escape sequences (arrows etc) -> ignore
-      if (code === 27) return;
-
-      // Tab -> ignore
-      if (code === 9) return;
-
-      // Printable character
-      if (code >= 32 && code < 127) {
-        const ch = data.toString();
-        buf += ch;
-        process.stdout.write(ch);
-
-        // INSTANT SLASH DETECTION: if "/" is the very first char
-        if (buf === "/") {
-          cleanup();
-          process.stdout.write("\n");
-          resolve({ text: "/", isSlash: true });
-          return;
-        }
-      }
+    function onData(data) {
+      const result = editor.feed(decoder.write(data));
+      if (result === undefined) return;
+      cleanup();
+      if (result && !result.isSlash && result.text) appendHistory(result.text);
+      resolve(result);
     }
 
-    process.stdin.on("data", onKey);
+    process.stdout.on("resize", editor.render);
+    process.stdin.on("data", onData);
   });
 }
 
@@ -1002,120 +6435,513 @@ function getMultilineInput() {
 
 // ─── Main REPL ──────────────────────────────────────────────────────────────
 
-async function repl(config) {
+async function repl(config, session = null) {
   // Scan project on startup for instant context
   const spinner = ora({ text: "Mapping project...", color: "cyan" }).start();
   const project = getProjectContext();
   spinner.succeed(chalk.dim(`Mapped ${project.treeStr.split("\n").length} items in ${project.cwd}`));
 
-  // Build system prompt with project context
-  const systemPrompt = [
+  // System prompt with project context; rebuilt each turn so CHALK.md edits apply
+  let sessionContext = [];
+  const buildSystemPrompt = () => [
     `You are Chalk, a powerful AI coding assistant powered by ${MODEL_NAME}.`,
     "You help users build, debug, and manage software projects from the terminal.",
-    "You can execute commands using tool_run and create/edit files using tool_edit.",
+    "You can execute commands using tool_run, create/overwrite files using tool_edit,",
+    "and make targeted changes to existing files using tool_patch.",
+    "To look at code, use tool_read, tool_grep, tool_glob and tool_ls instead of shell commands;",
+    "they are read-only and run without interrupting the user.",
+    "Use tool_task to hand big searches, reviews or audits to a sub-agent; only its report comes back.",
     "Always explain what you're about to do before calling a tool.",
     "Be direct and concise. If unsure, say so.",
     "",
-    `The user's working directory is: ${project.cwd}`,
-    project.langInfo ? `${project.langInfo}` : "",
-    project.projectInfo ? `${project.projectInfo}` : "",
-    "File tree:",
-    project.treeStr,
+    ...projectContextLines(project),
+    ...(sessionContext.length ? ["", "Session notes from hooks:", ...sessionContext] : []),
   ].join("\n");
 
   printBanner(config.model);
+  if (project.memory.length > 0) {
+    console.log(chalk.dim(`  Memory: ${project.memory.map((m) => memoryLabel(m.file)).join(", ")}\n`));
+  }
 
-  // Session state
-  const ctx = {
-    messages: [],
-    totalTokens: 0,
-    promptTokens: 0,
-    completionTokens: 0,
-  };
+  // Session state (auto-saved after every turn)
+  const ctx = createSessionState();
+  if (session) {
+    applySession(ctx, session);
+    printResumeSummary(session);
+  }
+  checkpointState.sessionId = ctx.sessionId;
+  sessionContext = runHooks("SessionStart", { source: session ? "resume" : "startup" }).context;
 
   // REPL loop
   while (true) {
-    const input = await rawInput();
+    // Re-read each turn: /model may have switched the session's model
+    config = sessionConfig(loadConfig(), ctx);
+    const input = await rawInput(ctx.agent ? agentSlug(ctx.agent.name) : "");
     if (input === null) {
+      saveSession(ctx, config.model);
+      runHooks("SessionEnd", { reason: "eof" });
       console.log(chalk.dim("  Goodbye!"));
       break;
     }
     if (!input.text) continue;
 
+    // Custom commands (.chalk/commands/*.md) become this turn's prompt
+    let command = null;
+    let userText = input.text;
+
     // Slash: "/" detected instantly on keypress -> show menu
     if (input.isSlash) {
       const cmd = await showSlashMenu();
-      if (cmd) await handleSlashCommand(cmd, ctx);
-      continue;
+      if (!cmd) continue;
+      command = loadCustomCommands().find((c) => c.name === cmd);
+      if (!command) { await handleSlashCommand(cmd, ctx); continue; }
+      let arg = "";
+      if (commandTakesArguments(command)) {
+        arg = await panelInput(command.name, command.argumentHint || command.description, "arguments");
+        if (arg === null) continue;
+      }
+      userText = expandCustomCommand(command, arg);
+    } else if (input.text.startsWith("/")) {
+      // Direct slash command typed fully (e.g. "/resume abc123" then Enter)
+      const [name, ...rest] = input.text.split(/\s+/);
+      const arg = rest.join(" ");
+      const commands = allSlashCommands();
+      let match = commands.find((c) => c.name === name);
+      if (!match) {
+        const partial = commands.filter((c) => c.name.startsWith(name));
+        if (partial.length === 1) match = partial[0];
+      }
+      if (!match) {
+        console.log(chalk.yellow(`  Unknown command: ${name}. Type / to see all.`));
+        continue;
+      }
+      if (!match.body) { await handleSlashCommand(match.name, ctx, arg); continue; }
+      command = match;
+      userText = expandCustomCommand(command, input.text.slice(name.length).trim());
     }
 
-    // Direct slash command typed fully (e.g. "/help" then Enter)
-    if (input.text.startsWith("/")) {
-      const match = SLASH_COMMANDS.find((c) => c.name === input.text);
-      if (match) { await handleSlashCommand(match.name, ctx); continue; }
-      const partial = SLASH_COMMANDS.filter((c) => c.name.startsWith(input.text));
-      if (partial.length === 1) { await handleSlashCommand(partial[0].name, ctx); continue; }
-      console.log(chalk.yellow(`  Unknown command: ${input.text}. Type / to see all.`));
+    // "# fact" appends to CHALK.md instead of going to the model
+    if (input.text.startsWith("#") && input.text.slice(1).trim()) {
+      await appendMemory(input.text.slice(1).trim());
       continue;
     }
 
     // Multi-line mode
-    let userText = input.text;
     if (input.text === "```") {
       const multi = await getMultilineInput();
       if (!multi) continue;
       userText = multi;
     }
 
+    // "@agent-name task" hands this one message to a custom agent; "@file" attaches a file
+    let agent = ctx.agent;
+    if (userText.startsWith("@")) {
+      const mention = resolveAgentMention(userText);
+      if (mention.agent) {
+        if (!mention.text) { await selectActiveAgent(ctx, mention.name); continue; }
+        agent = mention.agent;
+        userText = mention.text;
+      } else if (mention.name && !resolveMentionPath(mention.name)) {
+        console.log(chalk.yellow(`  No agent or file named "${mention.name}". See /agents.`));
+        continue;
+      }
+    }
+    // UserPromptSubmit hooks can block the prompt, rewrite it or add context
+    const submit = runHooks("UserPromptSubmit", { prompt: userText });
+    if (submit.blocked) continue;
+    if (submit.prompt !== null) userText = submit.prompt;
+    userText = await expandFileMentions(userText);
+    if (submit.context.length) userText += `\n\n${submit.context.join("\n")}`;
+    // A command's model overrides the agent's; its tool list can only narrow the agent's
+    const turnConfig = command?.model ? withModel(config, command.model) : agentConfig(config, agent);
+    const turnTools = commandTurnTools(command, agent);
+    if (agent) console.log(chalk.magenta(`  ${agent.name}`) + chalk.dim(` (${turnConfig.model})`));
+    if (command) console.log(chalk.cyan(`  ${command.name}`) + chalk.dim(` (${command.scope}${command.model ? `, ${command.model}` : ""})`));
+    project.memory = loadMemoryFiles();
+    const turnPrompt = agent ? agentSystemPrompt(agent, project) : buildSystemPrompt();
+
+    // Summarize older turns before the context window fills up
+    await maybeAutoCompact(ctx, config, turnPrompt, userText);
+
     // Add to conversation
-    ctx.messages.push({ role: "user", content: userText });
+    ctx.messages.push({ role: "user", content: userText, ...(agent ? { agent: agentSlug(agent.name) } : {}) });
 
-    // Call AI
-    const spinner2 = ora({ text: "Thinking...", color: "cyan" }).start();
-    const result = await chat(config, systemPrompt, ctx.messages);
-    spinner2.clear();
-    spinner2.stop();
+    // File writes this turn are checkpointed against this prompt
+    checkpointState.sessionId = ctx.sessionId;
+    checkpointState.messageIndex = ctx.messages.length - 1;
+
+    // Call AI (streams its own output)
+    const result = await chat(turnConfig, turnPrompt, ctx.messages, {
+      tools: turnTools,
+      label: agent?.name,
+    });
 
     if (result) {
-      if (result.content) {
-        ctx.messages.push({ role: "assistant", content: result.content });
-      }
+      // Keep the whole turn (tool calls and their outputs) for the next one
+      ctx.messages.push(...result.messages);
+      ctx.lastPromptTokens = result.lastPromptTokens;
       ctx.promptTokens += result.promptTokens || 0;
       ctx.completionTokens += result.completionTokens || 0;
       ctx.totalTokens += result.totalTokens || 0;
     }
+    saveSession(ctx, config.model);
+  }
+}
+
+// ─── CLI Arguments ──────────────────────────────────────────────────────────
+
+// flag -> [option key, takes a value]
+const CLI_FLAGS = {
+  "--version": ["version", false], "-v": ["version", false],
+  "--help": ["help", false], "-h": ["help", false],
+  "--update": ["update", false],
+  "--continue": ["continue", false], "-c": ["continue", false],
+  "--resume": ["resume", false], "-r": ["resume", false],
+  "--print": ["print", false], "-p": ["print", false],
+  "--output-format": ["outputFormat", true],
+  "--allowed-tools": ["allowedTools", true],
+  "--yes": ["yes", false], "-y": ["yes", false],
+  "--max-turns": ["maxTurns", true],
+  "--output": ["output", true], "-o": ["output", true],
+  "--personal": ["personal", false],
+  "--force": ["force", false],
+  "--days": ["days", true],
+  "--model": ["model", true], "-m": ["model", true],
+};
+
+const OUTPUT_FORMATS = ["text", "json", "stream-json"];
+
+/** Split argv into { opts, positional }, or { error } for bad usage. */
+function parseArgs(argv) {
+  const opts = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--") { positional.push(...argv.slice(i + 1)); break; }
+    if (!arg.startsWith("-") || arg === "-") { positional.push(arg); continue; }
+
+    const [flag, inline] = arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg, null];
+    const spec = CLI_FLAGS[flag];
+    if (!spec) return { error: `Unknown option: ${flag}` };
+    const [key, takesValue] = spec;
+
+    if (takesValue) {
+      const value = inline ?? argv[++i];
+      if (value === undefined) return { error: `${flag} needs a value` };
+      opts[key] = value;
+    } else if (key === "resume") {
+      // Optional session id; one that doesn't load is an error, never a prompt
+      opts.resume = true;
+      if (inline) opts.resumeId = inline;
+      else if (argv[i + 1] && !argv[i + 1].startsWith("-")) opts.resumeId = argv[++i];
+      if (opts.resumeId !== undefined && !loadSession(opts.resumeId)) {
+        return { error: `No session "${opts.resumeId}" for this directory; run chalk --resume to pick one` };
+      }
+    } else {
+      opts[key] = true;
+    }
+  }
+
+  if (opts.outputFormat && !OUTPUT_FORMATS.includes(opts.outputFormat)) {
+    return { error: `--output-format must be one of: ${OUTPUT_FORMATS.join(", ")}` };
+  }
+  if (opts.maxTurns !== undefined) {
+    const n = Number(opts.maxTurns);
+    if (!Number.isInteger(n) || n < 1) return { error: "--max-turns must be a positive integer" };
+    opts.maxTurns = n;
+  }
+  return { opts, positional };
+}
+
+/**
+ * --allowed-tools "tool_run,Edit(src/**)" -> allow rules. Tool names grant
+ * the whole permission kind (an MCP tool name grants just that tool);
+ * anything else is taken as a rule string.
+ */
+function parseAllowedTools(spec) {
+  const kinds = {
+    tool_run: "Run", tool_edit: "Edit", tool_patch: "Edit",
+    tool_read: "Read", tool_grep: "Read", tool_glob: "Read", tool_ls: "Read",
+  };
+  return spec
+    .split(/,(?![^(]*\))/)
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((s) => ({ action: "allow", rule: kinds[s] || (s.startsWith(MCP_PREFIX) ? `Mcp(${s})` : s), scope: "--allowed-tools" }));
+}
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let data = "";
+    process.stdin.setEncoding("utf-8");
+    process.stdin.on("data", (chunk) => { data += chunk; });
+    process.stdin.on("end", () => resolve(data));
+  });
+}
+
+// ─── Agent Packs (chalk agents list/export/import) ──────────────────────────
+
+const AGENT_PACK_VERSION = 1;
+
+/** Pull agent definitions out of a pack, a bare array, or a single agent file. */
+function unpackAgents(data) {
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.agents)) return data.agents;
+  return [data];
+}
+
+/** `chalk agents ...`; returns the exit code. */
+async function runAgentsCommand(args, opts) {
+  const [sub = "list", ...names] = args;
+
+  if (sub === "list") {
+    const { agents, invalid } = scanAgentFiles();
+    if (agents.length === 0 && invalid.length === 0) console.log(chalk.dim("  No custom agents yet. Create one with /agents."));
+    for (const a of agents) {
+      console.log(`  ${chalk.white(agentSlug(a.name).padEnd(24))} ${chalk.dim(`[${a.location}]`.padEnd(11))} ${chalk.dim(a.description || "")}`);
+    }
+    for (const bad of invalid) {
+      console.log(chalk.red(`  ${relPath(bad.file)}: ${bad.errors.join("; ")}`));
+    }
+    return invalid.length ? 1 : EXIT_OK;
+  }
+
+  if (sub === "export") {
+    // Project agents shadow personal ones with the same name, as in findAgent
+    const bySlug = new Map();
+    for (const a of loadCustomAgents()) if (!bySlug.has(agentSlug(a.name))) bySlug.set(agentSlug(a.name), a);
+    const missing = names.filter((n) => !bySlug.has(agentSlug(n)));
+    if (missing.length) {
+      console.error(chalk.red(`  No agent named ${missing.join(", ")}. See chalk agents list.`));
+      return EXIT_USAGE;
+    }
+    const picked = names.length ? names.map((n) => bySlug.get(agentSlug(n))) : [...bySlug.values()];
+    const agents = picked.map(({ location: _location, file: _file, ...data }) => data);
+    const pack = JSON.stringify({ chalkAgentPack: AGENT_PACK_VERSION, exportedAt: new Date().toISOString(), agents }, null, 2) + "\n";
+    if (!opts.output || opts.output === "-") {
+      process.stdout.write(pack);
+    } else {
+      fs.writeFileSync(opts.output, pack, "utf-8");
+      console.error(chalk.green(`  Exported ${agents.length} agent${agents.length === 1 ? "" : "s"} to ${opts.output}`));
+    }
+    return EXIT_OK;
+  }
+
+  if (sub === "import") {
+    const source = names[0];
+    if (!source) {
+      console.error(chalk.red("  Usage: chalk agents import <file|-> [--personal] [--force]"));
+      return EXIT_USAGE;
+    }
+    let data;
+    try {
+      data = JSON.parse(source === "-" ? await readStdin() : fs.readFileSync(source, "utf-8"));
+    } catch (err) {
+      console.error(chalk.red(`  Can't read ${source}: ${err.message}`));
+      return EXIT_USAGE;
+    }
+    const location = opts.personal ? "personal" : "project";
+    let failed = 0;
+    for (const [i, agent] of unpackAgents(data).entries()) {
+      const label = typeof agent?.name === "string" && agent.name.trim() ? agent.name : `entry ${i + 1}`;
+      const errors = validateAgent(agent);
+      if (errors.length) {
+        failed++;
+        console.error(chalk.red(`  Skipped ${label}: ${errors.join("; ")}`));
+        continue;
+      }
+      if (agentNameTaken(agent.name, location) && !opts.force) {
+        console.error(chalk.yellow(`  Skipped ${label}: ${relPath(agentFilePath(agent.name, location))} exists (use --force to overwrite)`));
+        continue;
+      }
+      const file = saveAgent({ ...agent, createdAt: agent.createdAt || new Date().toISOString() }, location);
+      console.error(chalk.green(`  Imported ${label} -> ${relPath(file)}`));
+    }
+    return failed ? 1 : EXIT_OK;
+  }
+
+  console.error(chalk.red(`  Unknown agents command: ${sub}. Use list, export or import.`));
+  return EXIT_USAGE;
+}
+
+// ─── One-Shot and Headless Runs ─────────────────────────────────────────────
+
+function oneShotSystemPrompt() {
+  const project = getProjectContext();
+  return [
+    `You are Chalk, a powerful AI coding assistant powered by ${MODEL_NAME}.`,
+    "You help users build, debug, and manage software projects.",
+    "You can execute commands using tool_run, write files using tool_edit and edit them using tool_patch.",
+    "Use tool_read, tool_grep, tool_glob and tool_ls to inspect code; they need no approval.",
+    "Use tool_task to hand big searches, reviews or audits to a sub-agent; only its report comes back.",
+    "Be direct and concise.",
+    `Working directory: ${project.cwd}`,
+    project.langInfo,
+    project.projectInfo,
+    ...memoryLines(project.memory),
+    "File tree:",
+    project.treeStr,
+  ].join("\n");
+}
+
+/** Write the last output and exit once stdout has drained (pipes truncate otherwise). */
+function finish(output, code) {
+  if (!output) process.exit(code);
+  process.stdout.write(output, () => process.exit(code));
+}
+
+/**
+ * chalk -p: no prompts, no spinner, human-readable progress on stderr and
+ * only the answer (text) or events (json, stream-json) on stdout.
+ */
+async function runHeadless(config, prompt, opts) {
+  const started = Date.now();
+  // chalk -p "/review src/a.js" runs a custom command
+  const custom = resolveCustomCommand(prompt);
+  if (custom) prompt = custom.prompt;
+  const { agent, text } = resolveAgentMention(prompt);
+  if (agent) {
+    config = agentConfig(config, agent);
+    prompt = text;
+  }
+  if (custom?.command.model) config = withModel(config, custom.command.model);
+  const tools = commandTurnTools(custom?.command, agent);
+  const sessionId = newSessionId();
+  checkpointState.sessionId = sessionId;
+
+  emitEvent({
+    type: "system",
+    subtype: "init",
+    session_id: sessionId,
+    model: config.model,
+    cwd: process.cwd(),
+    agent: agent ? agent.name : null,
+    command: custom ? custom.command.name : null,
+    tools: tools || toolNames(),
+    auto_approve: headless.autoApprove,
+  });
+
+  // Same hook events as the REPL; a blocked prompt never reaches the model
+  const notes = runHooks("SessionStart", { source: "startup" }).context;
+  const submit = runHooks("UserPromptSubmit", { prompt });
+  let result = null;
+  if (!submit.blocked) {
+    if (submit.prompt !== null) prompt = submit.prompt;
+    let content = await expandFileMentions(prompt);
+    if (submit.context.length) content += `\n\n${submit.context.join("\n")}`;
+    const systemPrompt = agent ? agentSystemPrompt(agent, getProjectContext()) : oneShotSystemPrompt();
+    result = await chat(config, withSessionNotes(systemPrompt, notes), [{ role: "user", content }], {
+      maxTurns: opts.maxTurns,
+      tools,
+    });
+  }
+  runHooks("SessionEnd", { reason: "exit" });
+
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let costUsd = 0;
+  for (const e of headless.events.filter((ev) => ev.type === "usage")) {
+    for (const key of Object.keys(usage)) usage[key] += e[key] || 0;
+    costUsd += e.cost_usd || 0;
+  }
+
+  let exitCode = EXIT_OK;
+  let subtype = "success";
+  if (submit.blocked) {
+    exitCode = EXIT_TOOL_DENIED;
+    subtype = "error_prompt_blocked";
+  } else if (!result || result.stopReason === "error") {
+    exitCode = EXIT_API_ERROR;
+    subtype = "error_api";
+  } else if (result.stopReason === "max_turns") {
+    exitCode = EXIT_MAX_TURNS;
+    subtype = "error_max_turns";
+  } else if (result.stopReason === "budget") {
+    exitCode = EXIT_BUDGET;
+    subtype = "error_budget";
+  } else if (headless.deniedCount > 0) {
+    exitCode = EXIT_TOOL_DENIED;
+    subtype = "error_tool_denied";
+  }
+
+  const summary = {
+    type: "result",
+    subtype,
+    is_error: exitCode !== EXIT_OK,
+    exit_code: exitCode,
+    result: result?.content || "",
+    ...(submit.blocked ? { blocked_reason: submit.reason } : {}),
+    session_id: sessionId,
+    num_requests: result?.requests || 0,
+    denied_tools: headless.deniedCount,
+    duration_ms: Date.now() - started,
+    usage,
+    total_cost_usd: costUsd,
+  };
+
+  if (headless.format === "stream-json") {
+    emitEvent(summary);
+    finish("", exitCode);
+  } else if (headless.format === "json") {
+    finish(JSON.stringify({ ...summary, events: headless.events.slice() }, null, 2) + "\n", exitCode);
+  } else {
+    finish(summary.result ? summary.result + "\n" : "", exitCode);
   }
 }
 
 // ─── CLI Entry Point ────────────────────────────────────────────────────────
 
 async function main() {
-  const args = process.argv.slice(2);
+  const parsed = parseArgs(process.argv.slice(2));
+  if (parsed.error) {
+    console.error(chalk.red(`  ${parsed.error}. See chalk --help.`));
+    process.exit(EXIT_USAGE);
+  }
+  const { opts, positional: args } = parsed;
 
   // chalk --version / -v
-  if (args.includes("--version") || args.includes("-v")) {
+  if (opts.version) {
     console.log(`Chalk v${VERSION} (${MODEL_NAME})`);
     process.exit(0);
   }
 
   // chalk --help / -h
-  if (args.includes("--help") || args.includes("-h")) {
+  if (opts.help) {
     console.log(`
   ${chalk.cyan.bold("Chalk")} - AI coding assistant powered by ${MODEL_NAME}
 
   ${chalk.dim("Usage:")}
     chalk                       Interactive mode
     chalk "fix the bug"         One-shot prompt
+    chalk -p "fix the bug"      Headless run for scripts and CI
     chalk login                 Set up your API key
     chalk config                Show configuration
+    chalk agents                List custom agents and broken agent files
+    chalk agents export [names] Write an agent pack to stdout (or -o file)
+    chalk agents import <file>  Add agents from a pack (--personal, --force)
+    chalk usage [day|project|model]  Spending report (--days n, default 30)
+    chalk --continue            Resume the latest session in this directory
+    chalk --resume [id]         Pick a saved session to resume
     chalk --update              Update Chalk
     chalk --version             Show version
 
   ${chalk.dim("Options:")}
     -v, --version               Show version
     -h, --help                  Show this help
+    -c, --continue              Continue the most recent conversation
+    -r, --resume [id]           Resume a conversation (picker if no id)
+    -m, --model <id>            Use this model for the run (see /model);
+                                ollama/<name>, openai/<name> or anthropic/<name>
+                                go direct when that provider is configured
     --update                    Rebuild and update Chalk
 
+  ${chalk.dim("Headless (-p, --print):")}
+    --output-format <fmt>       text (default), json, or stream-json
+    --allowed-tools <list>      Pre-approve tools, e.g. "tool_run,Edit(src/**),mcp__db__query"
+    -y, --yes                   Approve every tool call (hard-deny rules still apply)
+    --max-turns <n>             Stop after n model requests
+    Prompt comes from the arguments, or stdin when none are given.
+    Exit codes: 0 ok, 1 API error, 2 bad usage, 3 tool or prompt denied, 4 max turns, 5 over budget
+
   ${chalk.dim("In interactive mode:")}
     Type / to open the command menu
     Type \`\`\` for multi-line input
@@ -1130,7 +6956,7 @@ async function main() {
   }
 
   // chalk --update
-  if (args.includes("--update")) {
+  if (opts.update) {
     console.log(chalk.cyan("\n  Updating Chalk CLI...\n"));
     try {
       const pkgDir = path.dirname(new URL(import.meta.url).pathname).replace(/^\/([A-Z]:)/, "$1");
@@ -1148,24 +6974,64 @@ async function main() {
     process.exit(0);
   }
 
+  // chalk agents list|export|import
+  if (args[0] === "agents") {
+    process.exit(await runAgentsCommand(args.slice(1), opts));
+  }
+
+  // chalk usage [day|project|model]
+  if (args[0] === "usage") {
+    process.exit(printUsageReport(args[1], opts.days));
+  }
+
   // chalk config
   if (args[0] === "config") {
-    const config = loadConfig();
-    console.log(chalk.dim(`
-  Config home:    ${CHALK_HOME}
-  Model:          ${config.model}
-  API base:       ${config.baseUrl}
-  API key:        ${config.apiKey ? config.apiKey.slice(0, 14) + "..." : "(not set)"}
-  Working dir:    ${process.cwd()}
-`));
+    console.log(chalk.dim(formatConfig(loadConfig())));
     process.exit(0);
   }
 
+  // chalk -p: stdout is reserved for the answer / JSON events from here on
+  if (opts.print) {
+    headless.enabled = true;
+    headless.format = opts.outputFormat || "text";
+    headless.autoApprove = !!opts.yes;
+    headless.allowedRules = opts.allowedTools ? parseAllowedTools(opts.allowedTools) : [];
+    console.log = (...parts) => console.error(...parts);
+  }
+
+  // --model applies to this run only; config reads it like any other setting
+  if (opts.model) {
+    process.env.CHALK_MODEL = opts.model;
+    cliModel = opts.model;
+  }
+
   // Load config
   const config = loadConfig();
 
-  // First-run: no API key
-  if (!config.apiKey) {
+  // Pick the session to resume first: it may bring its own model
+  let session = null;
+  if (!headless.enabled && args.length === 0) {
+    if (opts.continue) {
+      session = listSessions()[0] || null;
+      if (!session) console.log(chalk.dim("  No previous session in this directory. Starting fresh."));
+    } else if (opts.resume) {
+      session = opts.resumeId ? loadSession(opts.resumeId) : await pickSession();
+    }
+  }
+  const model = (session && restoredModel(session)) || config.model;
+  warnIfNoTools(model);
+
+  // First-run: no API key (local and OpenAI-compatible endpoints may not need one)
+  const missingKey = missingKeyFor(config, model);
+  if (missingKey && missingKey !== "OPENROUTER_API_KEY") {
+    console.error(chalk.red(`  Error: ${missingKey} is not set. Add it to ${CHALK_ENV} or the environment.`));
+    process.exit(headless.enabled ? EXIT_USAGE : 1);
+  }
+  if (missingKey) {
+    if (headless.enabled) {
+      console.error(chalk.red("  Error: API key not configured. Run chalk login first."));
+      process.exit(EXIT_USAGE);
+    }
     const success = await runLogin();
     if (!success) process.exit(1);
     // Reload after login
@@ -1176,34 +7042,59 @@ async function main() {
     }
   }
 
-  // chalk "prompt" (one-shot mode)
-  if (args.length > 0 && args[0] !== "login" && args[0] !== "config") {
-    const prompt = args.join(" ");
-    const project = getProjectContext();
-    const systemPrompt = [
-      `You are Chalk, a powerful AI coding assistant powered by ${MODEL_NAME}.`,
-      "You help users build, debug, and manage software projects.",
-      "You can execute commands using tool_run and create/edit files using tool_edit.",
-      "Be direct and concise.",
-      `Working directory: ${project.cwd}`,
-      project.langInfo,
-      project.projectInfo,
-      "File tree:",
-      project.treeStr,
-    ].join("\n");
-
-    const spinner = ora({ text: "Thinking...", color: "cyan" }).start();
-    const result = await chat(config, systemPrompt, [{ role: "user", content: prompt }]);
-    spinner.stop();
+  // Project hooks and MCP servers only run once the user trusts this checkout
+  await resolveProjectTrust();
+
+  // MCP servers and background jobs live as long as this process, including
+  // when the terminal closes (SIGHUP) or something stops Chalk (SIGTERM)
+  process.once("exit", stopMcpServers);
+  process.once("exit", stopJobs);
+  for (const [sig, code] of [["SIGHUP", 129], ["SIGTERM", 143]]) {
+    process.once(sig, () => {
+      stopJobs();
+      stopMcpServers();
+      process.exit(code);
+    });
+  }
+  await startMcpServers();
+
+  // chalk -p "prompt" (headless mode)
+  if (headless.enabled) {
+    const prompt = args.length > 0 ? args.join(" ") : !process.stdin.isTTY ? (await readStdin()).trim() : "";
+    if (!prompt) {
+      console.error(chalk.red("  No prompt given. Pass it as an argument or on stdin."));
+      process.exit(EXIT_USAGE);
+    }
+    await runHeadless(config, prompt, opts);
+    return;
+  }
 
-    if (result && result.content) {
-      // Already printed inside chat() for tool-use responses
+  // chalk "prompt" (one-shot mode)
+  if (args.length > 0) {
+    const custom = resolveCustomCommand(args.join(" "));
+    const { agent, text } = resolveAgentMention(custom ? custom.prompt : args.join(" "));
+    checkpointState.sessionId = newSessionId();
+    const notes = runHooks("SessionStart", { source: "startup" }).context;
+    const submit = runHooks("UserPromptSubmit", { prompt: text });
+    if (submit.blocked) {
+      runHooks("SessionEnd", { reason: "exit" });
+      process.exit(EXIT_TOOL_DENIED);
     }
-    process.exit(0);
+    let prompt = await expandFileMentions(submit.prompt ?? text);
+    if (submit.context.length) prompt += `\n\n${submit.context.join("\n")}`;
+    const turnConfig = custom?.command.model ? withModel(config, custom.command.model) : agentConfig(config, agent);
+    const systemPrompt = agent ? agentSystemPrompt(agent, getProjectContext()) : oneShotSystemPrompt();
+    const result = await chat(turnConfig, withSessionNotes(systemPrompt, notes), [{ role: "user", content: prompt }], {
+      tools: commandTurnTools(custom?.command, agent),
+    });
+    runHooks("SessionEnd", { reason: "exit" });
+    process.exit(!result || result.stopReason === "error" ? EXIT_API_ERROR : result.stopReason === "budget" ? EXIT_BUDGET : EXIT_OK);
   }
 
   // Interactive REPL
-  await repl(config);
+  await repl(config, session);
+  stopMcpServers();
+  stopJobs();
 }
 
 main().catch((err) => {